@@ -1,10 +1,16 @@
 import express from "express";
 import fetch from "node-fetch";
 import pino from 'pino';
-import { randomUUID } from 'crypto';
+import { randomUUID, createHash, createHmac, timingSafeEqual } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import YAML from 'yaml';
+import promClient from 'prom-client';
 
 const app = express();
-app.use(express.json({ type: "*/*" })); // PB sends application/json
+// PB sends application/json; the raw bytes are kept for webhook signature verification
+app.use(express.json({ type: "*/*", verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // Add request ID middleware
 app.use((req, res, next) => {
@@ -16,23 +22,6 @@ app.use((req, res, next) => {
 // --- Config ---
 const PB_BASE = "https://api.productboard.com/v2";
 const PB_TOKEN = process.env.PRODUCTBOARD_API_TOKEN;
-const WEBHOOK_AUTH = process.env.PB_WEBHOOK_AUTH; // PB will send this in Authorization
-const RG_IDS = {
-  weekly: process.env.RELEASE_GROUP_WEEKLY_ID,
-  monthly: process.env.RELEASE_GROUP_MONTHLY_ID,
-  quarterly: process.env.RELEASE_GROUP_QUARTERLY_ID,
-  yearly: process.env.RELEASE_GROUP_YEARLY_ID,
-};
-
-// Validate RG_IDS at startup
-const missingGroups = Object.entries(RG_IDS)
-  .filter(([_, id]) => !id)
-  .map(([name]) => name);
-
-if (missingGroups.length > 0) {
-  console.warn("❗ Missing release group IDs:", missingGroups.join(', '), "- these groups will be skipped during seeding");
-}
-
 const COMMON_HEADERS = {
   Authorization: `Bearer ${PB_TOKEN}`,
   "X-Version": "2",
@@ -84,30 +73,234 @@ function logWithRequest(req) {
   };
 }
 
-// --- Deduplication Cache ---
+// --- Metrics (Prometheus, GET /metrics) ---
+
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+  webhooks: new promClient.Counter({
+    name: "pb_webhooks_total",
+    help: "Webhooks received, by kind (entity or release), outcome and reason",
+    labelNames: ["kind", "outcome", "reason"],
+    registers: [metricsRegistry],
+  }),
+  dedupHits: new promClient.Counter({
+    name: "pb_webhook_dedup_hits_total",
+    help: "Webhook jobs skipped as duplicates of one already processed or in progress",
+    registers: [metricsRegistry],
+  }),
+  assignments: new promClient.Counter({
+    name: "pb_assignments_total",
+    help: "Assignment outcomes per release group (assigned, unchanged, unassigned, unmatched, skipped, failed)",
+    labelNames: ["group", "status"],
+    registers: [metricsRegistry],
+  }),
+  lastAssignment: new promClient.Gauge({
+    name: "pb_assignment_last_success_timestamp_seconds",
+    help: "Unix time of the last successful assignment evaluation per release group",
+    labelNames: ["group"],
+    registers: [metricsRegistry],
+  }),
+  apiDuration: new promClient.Histogram({
+    name: "pb_api_request_duration_seconds",
+    help: "Productboard API request latency per attempt, by method, endpoint and status (HTTP code, timeout or network_error)",
+    labelNames: ["method", "endpoint", "status"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [metricsRegistry],
+  }),
+  apiRetries: new promClient.Counter({
+    name: "pb_api_retries_total",
+    help: "Productboard API requests retried, by method and endpoint",
+    labelNames: ["method", "endpoint"],
+    registers: [metricsRegistry],
+  }),
+  apiFailures: new promClient.Counter({
+    name: "pb_api_failures_total",
+    help: "Productboard API calls that gave up after exhausting retries, by method and endpoint",
+    labelNames: ["method", "endpoint"],
+    registers: [metricsRegistry],
+  }),
+  seededReleases: new promClient.Counter({
+    name: "pb_seeder_releases_total",
+    help: "Releases the seeder created or failed to create, per release group",
+    labelNames: ["group", "result"],
+    registers: [metricsRegistry],
+  }),
+};
+
+/** Count a webhook by how /pb-webhook answered it */
+function countWebhook(kind, outcome, reason) {
+  metrics.webhooks.inc({ kind, outcome, reason });
+}
+
+// --- Deduplication Store ---
 
 /**
- * In-memory cache to prevent duplicate webhook processing
- * Key: ${featureId}:${eventType}
- * Value: { timestamp, requestId }
+ * Dedup stores prevent duplicate webhook processing. Interface:
+ * - acquire(key, entry, ttlMs): atomically claims `key` and resolves null, or resolves the existing
+ *   entry ({ timestamp, requestId, owner, ... }) if an unexpired claim exists. An expired claim is
+ *   taken over.
+ * - release(key, owner): removes the claim if `owner` still holds it (entry.owner, a token the caller
+ *   picks), so a holder whose claim expired and was taken over can't remove the new claim
+ * Backends: "memory" (single instance) and "file" (one file per key, safe across processes and
+ * instances sharing the directory). Selected via DEDUP_STORE.
  */
-const processingCache = new Map();
 const DEDUP_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
+const DATA_DIR = process.env.DATA_DIR || "./data";
+
+/** In-memory dedup store with periodic cleanup of old entries (runs every minute) */
+function createMemoryDedupStore() {
+  const entries = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    let cleanedCount = 0;
+    for (const [key, value] of entries.entries()) {
+      if (now > value.expiresAt) {
+        entries.delete(key);
+        cleanedCount++;
+      }
+    }
+    if (cleanedCount > 0) {
+      dbg(`🧹 Cleaned ${cleanedCount} expired deduplication entries`);
+    }
+  }, 60 * 1000);
+
+  return {
+    async acquire(key, entry, ttlMs) {
+      const existing = entries.get(key);
+      if (existing && Date.now() <= existing.expiresAt) return existing;
+      entries.set(key, { ...entry, expiresAt: Date.now() + ttlMs });
+      return null;
+    },
+    async release(key, owner) {
+      if (entries.get(key)?.owner === owner) entries.delete(key);
+    },
+  };
+}
+
+/**
+ * File-backed dedup store: each claim is a JSON file, written to a temp file and hard-linked into
+ * place (link fails if the claim exists, and readers never see a partial claim). Taking over an
+ * expired claim, releasing and cleanup run under a per-key lock file, so two instances can't both
+ * replace the same expired claim, and a release can't remove a claim that changed hands.
+ */
+function createFileDedupStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (key) => path.join(dir, `${createHash("sha1").update(key).digest("hex")}.json`);
+  const LOCK_STALE_MS = 30 * 1000; // locks are held for a read and a rename; older ones were left by a crash
 
-// Periodic cleanup of old entries (runs every minute)
-setInterval(() => {
-  const now = Date.now();
-  let cleanedCount = 0;
-  for (const [key, value] of processingCache.entries()) {
-    if (now - value.timestamp > DEDUP_WINDOW_MS) {
-      processingCache.delete(key);
-      cleanedCount++;
+  async function readEntry(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT" || err instanceof SyntaxError) return null; // released, or corrupt
+      throw err;
     }
   }
-  if (cleanedCount > 0) {
-    dbg(`🧹 Cleaned ${cleanedCount} expired deduplication entries`);
+
+  /** Run fn while holding the key's lock file */
+  async function withLock(file, fn) {
+    const lock = `${file}.lock`;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await fs.promises.writeFile(lock, String(process.pid), { flag: "wx" });
+        break;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+        const stat = await fs.promises.stat(lock).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await fs.promises.rm(lock, { force: true });
+        } else if (attempt >= 50) {
+          throw new Error(`dedup lock ${path.basename(lock)} is busy`);
+        } else {
+          await sleep(20);
+        }
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      await fs.promises.rm(lock, { force: true });
+    }
   }
-}, 60 * 1000);
+
+  setInterval(async () => {
+    try {
+      let cleanedCount = 0;
+      for (const name of await fs.promises.readdir(dir)) {
+        const file = path.join(dir, name);
+        if (name.endsWith(".json")) {
+          const entry = await readEntry(file);
+          if (!entry || Date.now() <= entry.expiresAt) continue;
+          await withLock(file, async () => {
+            const current = await readEntry(file); // may have been taken over meanwhile
+            if (current && Date.now() > current.expiresAt) {
+              await fs.promises.rm(file, { force: true });
+              cleanedCount++;
+            }
+          });
+        } else if (name.endsWith(".tmp")) {
+          // Temp files of claims interrupted by a crash
+          const stat = await fs.promises.stat(file).catch(() => null);
+          if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) await fs.promises.rm(file, { force: true });
+        }
+      }
+      if (cleanedCount > 0) {
+        dbg(`🧹 Cleaned ${cleanedCount} expired deduplication entries`);
+      }
+    } catch (err) {
+      log.warn(`🧹 Dedup cleanup failed: ${err.message}`);
+    }
+  }, 60 * 1000);
+
+  return {
+    async acquire(key, entry, ttlMs) {
+      const file = fileFor(key);
+      const tmp = `${file}.${randomUUID()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ ...entry, key, expiresAt: Date.now() + ttlMs }));
+      const claim = async () => {
+        try {
+          await fs.promises.link(tmp, file);
+          return true;
+        } catch (err) {
+          if (err.code !== "EEXIST") throw err;
+          return false;
+        }
+      };
+      try {
+        if (await claim()) return null;
+        return await withLock(file, async () => {
+          const existing = await readEntry(file);
+          if (existing && Date.now() <= existing.expiresAt) return existing;
+          // Released meanwhile: claim it like a new key, racing any unlocked claimer fairly
+          if (!existing && (await claim())) return null;
+          const current = existing || (await readEntry(file));
+          if (current && Date.now() <= current.expiresAt) return current;
+          // Expired (e.g. left by a crashed instance) or corrupt: replace it atomically; the file never
+          // disappears, so no unlocked claimer can slip in between
+          await fs.promises.rename(tmp, file);
+          return null;
+        });
+      } finally {
+        await fs.promises.rm(tmp, { force: true });
+      }
+    },
+    async release(key, owner) {
+      const file = fileFor(key);
+      await withLock(file, async () => {
+        const existing = await readEntry(file);
+        if (existing && existing.owner === owner) await fs.promises.rm(file, { force: true });
+      });
+    },
+  };
+}
+
+const DEDUP_STORE_TYPE = process.env.DEDUP_STORE || "memory";
+const dedupStore = DEDUP_STORE_TYPE === "file"
+  ? createFileDedupStore(process.env.DEDUP_STORE_DIR || path.join(DATA_DIR, "dedup"))
+  : createMemoryDedupStore();
 
 /**
  * Get deduplication key for a feature webhook
@@ -119,61 +312,729 @@ function getDedupKey(featureId, eventType, timeframeEnd = null) {
 }
 
 /**
- * Check if a webhook is currently being processed or was recently processed
+ * Atomically mark a feature webhook as being processed.
+ * Returns null if the claim succeeded, or the existing entry if it's already being processed
+ * (here or on another instance sharing the store).
+ */
+async function claimProcessing(featureId, eventType, timeframeEnd, requestId, owner) {
+  const key = getDedupKey(featureId, eventType, timeframeEnd);
+  return dedupStore.acquire(key, { timestamp: Date.now(), requestId, timeframeEnd, owner }, DEDUP_WINDOW_MS);
+}
+
+/**
+ * Remove processing mark for a feature webhook (only if `owner` still holds it)
  */
-function isProcessing(featureId, eventType, timeframeEnd = null) {
+async function unmarkProcessing(featureId, eventType, timeframeEnd, owner) {
   const key = getDedupKey(featureId, eventType, timeframeEnd);
-  const entry = processingCache.get(key);
-  if (!entry) return null;
+  await dedupStore.release(key, owner);
+}
+
+// --- Job Queue ---
+
+/**
+ * Durable queue for async work (accepted webhooks). Jobs are retried with exponential backoff and
+ * moved to a dead-letter list once JOB_MAX_ATTEMPTS is reached or the error is permanent.
+ * Backends: "file" (default; one JSON file per job under pending/active/dead, claimed by atomic
+ * rename so several processes can share the directory) and "memory" (lost on restart).
+ * Backend interface: add, listPending, claim, renew, complete, reschedule, bury, listActive, listDead,
+ * getDead, revive, removeDead.
+ * A claimed job holds a lease (claimedAt) that its worker renews while the job runs; jobs whose lease
+ * is older than JOB_LEASE_MS were orphaned by a crash and are re-queued.
+ */
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 6);
+const JOB_RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS || 2000);
+const JOB_RETRY_MAX_MS = Number(process.env.JOB_RETRY_MAX_MS || 5 * 60 * 1000);
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 1000);
+const JOB_LEASE_MS = Number(process.env.JOB_LEASE_MS || 10 * 60 * 1000); // active jobs not renewed for this long were orphaned by a crash
+const JOB_LEASE_RENEW_MS = Math.max(1000, JOB_LEASE_MS / 3);
+
+function createMemoryJobBackend() {
+  const pending = new Map();
+  const active = new Map();
+  const dead = new Map();
+  return {
+    async add(job) { pending.set(job.id, job); },
+    async listPending() { return [...pending.values()]; },
+    async claim(id) {
+      const job = pending.get(id);
+      if (!job) return null;
+      pending.delete(id);
+      const claimed = { ...job, claimedAt: Date.now() };
+      active.set(id, claimed);
+      return claimed;
+    },
+    async renew(id) {
+      const job = active.get(id);
+      if (job) job.claimedAt = Date.now();
+    },
+    async complete(id) { active.delete(id); },
+    async reschedule(job) { active.delete(job.id); pending.set(job.id, job); },
+    async bury(job) { active.delete(job.id); dead.set(job.id, job); },
+    async listActive() { return [...active.values()]; },
+    async listDead() { return [...dead.values()]; },
+    async getDead(id) { return dead.get(id) || null; },
+    async revive(job) { dead.delete(job.id); pending.set(job.id, job); },
+    async removeDead(id) { return dead.delete(id); },
+  };
+}
+
+function createFileJobBackend(dir) {
+  const dirs = { pending: path.join(dir, "pending"), active: path.join(dir, "active"), dead: path.join(dir, "dead") };
+  Object.values(dirs).forEach(d => fs.mkdirSync(d, { recursive: true }));
+  const fileFor = (state, id) => path.join(dirs[state], `${id}.json`);
 
-  // Check if still within dedup window
-  if (Date.now() - entry.timestamp > DEDUP_WINDOW_MS) {
-    processingCache.delete(key);
-    return null;
+  async function write(state, job) {
+    // write-then-rename so readers never see a partial file
+    const tmp = `${fileFor(state, job.id)}.${randomUUID()}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(job));
+    await fs.promises.rename(tmp, fileFor(state, job.id));
   }
+  async function read(state, id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(state, id), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+  async function list(state) {
+    const names = (await fs.promises.readdir(dirs[state])).filter(n => n.endsWith(".json"));
+    const jobs = await Promise.all(names.map(n => read(state, n.slice(0, -5))));
+    return jobs.filter(Boolean);
+  }
+  async function move(from, to, job) {
+    await write(to, job);
+    await fs.promises.rm(fileFor(from, job.id), { force: true });
+  }
+
+  return {
+    add: (job) => write("pending", job),
+    listPending: () => list("pending"),
+    // The active file's mtime is the lease: stamped before the claim (rename keeps it, so the job is
+    // never in active/ without a fresh lease) and renewed while the job runs
+    async claim(id) {
+      try {
+        const now = new Date();
+        await fs.promises.utimes(fileFor("pending", id), now, now);
+        // rename is atomic: only one process can move a given pending job to active
+        await fs.promises.rename(fileFor("pending", id), fileFor("active", id));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+      const job = await read("active", id);
+      return job && { ...job, claimedAt: Date.now() };
+    },
+    async renew(id) {
+      const now = new Date();
+      await fs.promises.utimes(fileFor("active", id), now, now).catch(err => {
+        if (err.code !== "ENOENT") throw err; // finished meanwhile
+      });
+    },
+    complete: (id) => fs.promises.rm(fileFor("active", id), { force: true }),
+    reschedule: (job) => move("active", "pending", job),
+    bury: (job) => move("active", "dead", job),
+    async listActive() {
+      const jobs = [];
+      for (const job of await list("active")) {
+        const stat = await fs.promises.stat(fileFor("active", job.id)).catch(() => null);
+        if (stat) jobs.push({ ...job, claimedAt: stat.mtimeMs });
+      }
+      return jobs;
+    },
+    listDead: () => list("dead"),
+    getDead: (id) => read("dead", id),
+    revive: (job) => move("dead", "pending", job),
+    async removeDead(id) {
+      const exists = await read("dead", id);
+      await fs.promises.rm(fileFor("dead", id), { force: true });
+      return Boolean(exists);
+    },
+  };
+}
+
+/** Transient failures are worth retrying: network errors, throttling and 5xx */
+function isRetryableError(err) {
+  return !err?.status || err.status === 429 || err.status >= 500;
+}
+
+/** Exponential backoff with full jitter: random delay in [0, base * 2^(attempt-1)], capped */
+function retryDelayMs(attempt, baseMs, maxMs) {
+  return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+}
+
+function createJobQueue(backend, handlers) {
+  let running = 0;
+  let timer = null;
+  let draining = false;
+
+  async function runJob(job) {
+    const attempt = (job.attempts || 0) + 1;
+    const lease = setInterval(() => {
+      backend.renew(job.id).catch(err => log.warn(`📦 Could not renew the lease of job ${job.id}: ${err.message}`));
+    }, JOB_LEASE_RENEW_MS);
+    try {
+      try {
+        await handlers[job.type](job.payload, job);
+      } finally {
+        clearInterval(lease);
+      }
+      await backend.complete(job.id);
+      dbg(`📦 Job ${job.id} (${job.type}) done after ${attempt} attempt(s)`);
+    } catch (err) {
+      const failed = { ...job, attempts: attempt, lastError: err?.message || String(err), updatedAt: Date.now(), claimedAt: undefined };
+      if (!isRetryableError(err) || attempt >= JOB_MAX_ATTEMPTS) {
+        await backend.bury({ ...failed, failedAt: new Date().toISOString() });
+        log.err(`☠️  Job ${job.id} (${job.type}) moved to dead-letter after ${attempt} attempt(s): ${failed.lastError}`, { requestId: job.payload?.requestId });
+      } else {
+        const delay = retryDelayMs(attempt, JOB_RETRY_BASE_MS, JOB_RETRY_MAX_MS);
+        await backend.reschedule({ ...failed, nextRunAt: Date.now() + delay });
+        log.warn(`🔁 Job ${job.id} (${job.type}) failed (attempt ${attempt}/${JOB_MAX_ATTEMPTS}), retrying in ${delay} ms: ${failed.lastError}`, { requestId: job.payload?.requestId });
+      }
+    }
+  }
+
+  /** Claim and start due jobs up to the concurrency limit */
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    try {
+      // Recover jobs orphaned in "active" by a crashed process
+      for (const job of await backend.listActive()) {
+        if (job.claimedAt && Date.now() - job.claimedAt > JOB_LEASE_MS) {
+          log.warn(`📦 Recovering orphaned job ${job.id} (${job.type})`);
+          await backend.reschedule({ ...job, claimedAt: undefined, nextRunAt: Date.now() });
+        }
+      }
+
+      const due = (await backend.listPending())
+        .filter(j => (j.nextRunAt || 0) <= Date.now())
+        .sort((a, b) => (a.nextRunAt || 0) - (b.nextRunAt || 0));
+      for (const candidate of due) {
+        if (running >= JOB_CONCURRENCY) break;
+        const job = await backend.claim(candidate.id);
+        if (!job) continue; // claimed by another worker
+        running++;
+        runJob(job)
+          .catch(err => log.err(`📦 Job ${job.id} bookkeeping failed: ${err.message}`))
+          .finally(() => {
+            running--;
+            kick();
+          });
+      }
+    } catch (err) {
+      log.err(`📦 Job queue poll failed: ${err.message}`);
+    } finally {
+      draining = false;
+    }
+  }
+
+  function kick() {
+    setImmediate(drain);
+  }
+
+  return {
+    async enqueue(type, payload) {
+      if (!handlers[type]) throw new Error(`No handler for job type "${type}"`);
+      const job = { id: randomUUID(), type, payload, attempts: 0, createdAt: Date.now(), nextRunAt: Date.now() };
+      await backend.add(job);
+      kick();
+      return job;
+    },
+    start() {
+      if (!timer) timer = setInterval(drain, JOB_POLL_INTERVAL_MS);
+      kick();
+    },
+    async stats() {
+      const [pending, active, dead] = await Promise.all([backend.listPending(), backend.listActive(), backend.listDead()]);
+      return { pending: pending.length, active: active.length, dead: dead.length, running };
+    },
+    listDead: () => backend.listDead(),
+    async replayDead(id) {
+      const job = await backend.getDead(id);
+      if (!job) return null;
+      const revived = { ...job, attempts: 0, nextRunAt: Date.now(), replayedAt: new Date().toISOString() };
+      await backend.revive(revived);
+      kick();
+      return revived;
+    },
+    removeDead: (id) => backend.removeDead(id),
+  };
+}
+
+// --- Assignment Ledger ---
+
+/**
+ * Append-only history of assignment changes, one JSON object per line (JSONL): which release(s) a
+ * feature was unlinked from / linked to in a group, when, by which request and why (webhook, release
+ * event, backfill). Entries are written after the links changed; a failing write is logged but never
+ * fails the assignment. ASSIGNMENT_LEDGER=file (default) or off; ASSIGNMENT_LEDGER_FILE sets the path.
+ */
+const LEDGER_ENABLED = (process.env.ASSIGNMENT_LEDGER || "file").toLowerCase() !== "off";
+const LEDGER_FILE = process.env.ASSIGNMENT_LEDGER_FILE || path.join(DATA_DIR, "assignment-ledger.jsonl");
+if (LEDGER_ENABLED) fs.mkdirSync(path.dirname(LEDGER_FILE), { recursive: true });
 
-  return entry;
+let ledgerAppends = Promise.resolve(); // appends run one at a time so lines never interleave
+
+/** Release as stored in the ledger: id, name and day bounds */
+function ledgerRelease(release) {
+  const start = release.timeframe?.startDate || release.timeframe?.start;
+  const end = release.timeframe?.endDate || release.timeframe?.end;
+  return { id: release.id, name: release.name ?? null, startDate: start ? toYMDUTC(start) : null, endDate: end ? toYMDUTC(end) : null };
 }
 
 /**
- * Mark a feature webhook as being processed
+ * Record one change of a feature's links in a group; `from` / `to` are the releases unlinked / linked.
+ * context: { requestId, source, event } of the run that made the change, and `run` when the change
+ * belongs to a recorded run (see startRun), which then lists it for rollback.
  */
-function markProcessing(featureId, eventType, timeframeEnd, requestId) {
-  const key = getDedupKey(featureId, eventType, timeframeEnd);
-  processingCache.set(key, {
-    timestamp: Date.now(),
+function recordAssignmentChange({ feature, group, from = [], to = [], context = {} }) {
+  context.run?.addAssignmentChange({ feature, group, from, to });
+  if (!LEDGER_ENABLED || (from.length === 0 && to.length === 0)) return ledgerAppends;
+  const start = feature.timeframe?.startDate || feature.timeframe?.start;
+  const end = feature.timeframe?.endDate || feature.timeframe?.end;
+  const entry = {
+    ts: new Date().toISOString(),
+    requestId: context.requestId || null,
+    source: context.source || null,
+    ...(context.event && { event: context.event }),
+    featureId: feature.id,
+    featureName: feature.name ?? null,
+    entityType: feature.type ?? null,
+    timeframe: { startDate: start ? toYMDUTC(start) : null, endDate: end ? toYMDUTC(end) : null },
+    group,
+    action: from.length === 0 ? "assign" : to.length === 0 ? "unassign" : "reassign",
+    from: from.map(ledgerRelease),
+    to: to.map(ledgerRelease),
+  };
+  ledgerAppends = ledgerAppends
+    .then(() => fs.promises.appendFile(LEDGER_FILE, JSON.stringify(entry) + "\n"))
+    .catch(err => log.err(`❌ Failed to write assignment ledger: ${err.message}`));
+  return ledgerAppends;
+}
+
+/**
+ * Scan the ledger for entries passing `filter`, newest first. Returns { entries, total }: at most
+ * `limit` entries, and the number of matches overall.
+ */
+async function readLedger(filter, limit) {
+  await ledgerAppends;
+  try {
+    await fs.promises.access(LEDGER_FILE);
+  } catch {
+    return { entries: [], total: 0 }; // nothing recorded yet
+  }
+  const newest = [];
+  let total = 0;
+  const input = fs.createReadStream(LEDGER_FILE, "utf8");
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // torn last line after a crash
+    }
+    if (!filter(entry)) continue;
+    total++;
+    newest.push(entry);
+    if (newest.length > limit) newest.shift();
+  }
+  return { entries: newest.reverse(), total };
+}
+
+// --- Runs ---
+
+/**
+ * Seeding runs and backfill batches are recorded with every change they made (releases created,
+ * feature links added and removed) so they can be rolled back (POST /admin/runs/:id/rollback).
+ * One JSON file per run under RUNS_DIR; runs that changed nothing are not stored.
+ */
+const RUNS_DIR = process.env.RUNS_DIR || path.join(DATA_DIR, "runs");
+fs.mkdirSync(RUNS_DIR, { recursive: true });
+
+// basename keeps IDs from request paths inside RUNS_DIR
+const runFile = (id) => path.join(RUNS_DIR, `${path.basename(String(id))}.json`);
+
+async function saveRun(run) {
+  // write-then-rename so readers never see a partial file
+  const tmp = `${runFile(run.id)}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(run, null, 2));
+  await fs.promises.rename(tmp, runFile(run.id));
+}
+
+const RUN_FLUSH_EVERY = 20; // changes between writes of a running run
+const RUN_FLUSH_MS = 2000; // longest a change stays unwritten
+const RUN_HEARTBEAT_MS = 30 * 1000; // running runs are rewritten this often even without changes
+const RUN_STALE_MS = 4 * RUN_HEARTBEAT_MS; // a running run not written for this long was interrupted
+
+/** A recorded run as stored, or null */
+async function readRun(id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(runFile(id), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/** The run as interrupted if it is "running" but hasn't been written for RUN_STALE_MS (its process stopped), else null */
+function interruptedRun(run) {
+  if (run.status !== "running" || Date.now() - Date.parse(run.updatedAt) <= RUN_STALE_MS) return null;
+  return { ...run, status: "interrupted", finishedAt: run.updatedAt };
+}
+
+/** A recorded run, or null; "running" runs left behind by a stopped process read as "interrupted" */
+async function loadRun(id) {
+  const run = await readRun(id);
+  return run && (interruptedRun(run) || run);
+}
+
+/** Store runs left "running" by a stopped process as interrupted (at startup; loadRun covers later crashes) */
+async function markInterruptedRuns() {
+  for (const name of await fs.promises.readdir(RUNS_DIR)) {
+    if (!name.endsWith(".json")) continue;
+    const stored = await readRun(name.slice(0, -".json".length)).catch(() => null);
+    const run = stored && interruptedRun(stored);
+    if (!run) continue;
+    await saveRun(run);
+    log.warn(`⏸️  Run ${run.id} (${run.type}) was interrupted; its ${run.releases.length} release(s) and ${run.links.length} link change(s) so far can be rolled back`);
+  }
+}
+
+/** All recorded runs, newest first */
+async function listRuns() {
+  const runs = [];
+  for (const name of await fs.promises.readdir(RUNS_DIR)) {
+    if (!name.endsWith(".json")) continue;
+    const run = await loadRun(name.slice(0, -".json".length)).catch(() => null);
+    if (run) runs.push(run);
+  }
+  return runs.sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+}
+
+/**
+ * Start recording a run of `type` ("seed" or "backfill"); the run ID is the request ID when given.
+ * Add changes as they happen, then finish(status) stores the run if it changed anything and resolves
+ * with its ID (or null). While running, the run is written at start, after every RUN_FLUSH_EVERY
+ * changes (or RUN_FLUSH_MS after a change) and on a heartbeat, so a crash leaves the changes made so
+ * far on disk for rollback.
+ */
+function startRun(type, { requestId = null, trigger = null, params = {} } = {}) {
+  const run = {
+    id: requestId || randomUUID(),
+    type,
+    trigger,
     requestId,
-    timeframeEnd
+    params,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    finishedAt: null,
+    status: "running",
+    releases: [],
+    links: [],
+    rollbacks: [],
+  };
+
+  let pending = 0;
+  let flushTimer = null;
+  let writes = Promise.resolve(); // one write at a time, in order
+  const write = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    pending = 0;
+    writes = writes
+      .then(() => {
+        run.updatedAt = new Date().toISOString();
+        return saveRun(run);
+      })
+      .catch(err => log.warn(`Could not save run ${run.id}: ${err.message}`));
+    return writes;
+  };
+  const changed = (count) => {
+    pending += count;
+    if (pending >= RUN_FLUSH_EVERY) write();
+    else if (!flushTimer) flushTimer = setTimeout(write, RUN_FLUSH_MS);
+  };
+  const heartbeat = setInterval(write, RUN_HEARTBEAT_MS);
+  write();
+
+  return {
+    id: run.id,
+    addRelease(group, release) {
+      const start = release.timeframe?.startDate || release.timeframe?.start;
+      const end = release.timeframe?.endDate || release.timeframe?.end;
+      run.releases.push({
+        id: release.id,
+        name: release.name ?? null,
+        group: group.key,
+        groupId: group.id,
+        startDate: start ? toYMDUTC(start) : null,
+        endDate: end ? toYMDUTC(end) : null,
+      });
+      changed(1);
+    },
+    addAssignmentChange({ feature, group, from, to }) {
+      const change = (action) => (release) => run.links.push({
+        action,
+        featureId: feature.id,
+        featureName: feature.name ?? null,
+        group,
+        releaseId: release.id,
+        releaseName: release.name ?? null,
+      });
+      from.forEach(change("unlinked"));
+      to.forEach(change("linked"));
+      if (from.length + to.length > 0) changed(from.length + to.length);
+    },
+    async finish(status) {
+      clearInterval(heartbeat);
+      clearTimeout(flushTimer);
+      await writes;
+      if (run.releases.length === 0 && run.links.length === 0) {
+        await fs.promises.rm(runFile(run.id), { force: true });
+        return null;
+      }
+      run.finishedAt = run.updatedAt = new Date().toISOString();
+      run.status = status;
+      await saveRun(run);
+      return run.id;
+    },
+  };
+}
+
+// --- Per-feature Lanes ---
+
+/**
+ * Work for one feature runs strictly one at a time. While a run is in progress, further webhook events
+ * for the same feature are coalesced into a single follow-up run (the latest event wins; processing
+ * always re-reads the feature, so only its latest timeframe matters). Coalesced callers all resolve
+ * with the follow-up run's result. Tasks queued with `coalesce: false` (backfill) always run on their own.
+ * Across instances, a lane claim in the dedup store (shared when DEDUP_STORE=file) keeps two
+ * instances from working on the same feature; the loser fails with a retryable error.
+ */
+const MAX_STALE_PASSES = 3; // re-evaluations when the feature changes mid-processing
+const featureLanes = new Map();
+
+/** Error for a feature whose timeframe changed between reading and writing */
+function staleFeatureError(latest) {
+  const err = new Error(`feature ${latest.id} changed during processing`);
+  err.code = "STALE_FEATURE";
+  err.latest = latest;
+  return err;
+}
+
+function runInFeatureLane(featureId, requestId, task, { coalesce = true } = {}) {
+  let lane = featureLanes.get(featureId);
+  if (!lane) {
+    lane = { busy: false, queue: [] };
+    featureLanes.set(featureId, lane);
+  }
+  if (!lane.busy) return runLane(featureId, lane, { task, requestId });
+
+  const last = lane.queue[lane.queue.length - 1];
+  if (coalesce && last?.coalesce) {
+    dbg(`🚦 Coalescing event ${last.requestId} into ${requestId} for feature ${featureId}`);
+    last.task = task;
+    last.requestId = requestId;
+    return last.promise;
+  }
+  const entry = { task, requestId, coalesce };
+  entry.promise = new Promise((resolve, reject) => {
+    entry.resolve = resolve;
+    entry.reject = reject;
   });
+  lane.queue.push(entry);
+  dbg(`🚦 Feature ${featureId} busy; queued ${requestId} behind current run`);
+  return entry.promise;
+}
+
+async function runLane(featureId, lane, { task, requestId }) {
+  lane.busy = true;
+  try {
+    const owner = randomUUID();
+    const busyElsewhere = await dedupStore.acquire(`lane:${featureId}`, { timestamp: Date.now(), requestId, owner }, DEDUP_WINDOW_MS);
+    if (busyElsewhere) {
+      throw new Error(`feature ${featureId} is being processed elsewhere (${busyElsewhere.requestId})`);
+    }
+    try {
+      return await task();
+    } finally {
+      await dedupStore.release(`lane:${featureId}`, owner);
+    }
+  } finally {
+    const next = lane.queue.shift();
+    if (next) {
+      runLane(featureId, lane, next).then(next.resolve, next.reject);
+    } else {
+      lane.busy = false;
+      featureLanes.delete(featureId);
+    }
+  }
+}
+
+// --- Authentication ---
+// Each variable takes a comma-separated list, so a new secret can be deployed next to the old
+// one and the old one removed once every sender has switched (zero-downtime rotation).
+
+/** Split a comma-separated secrets variable; a "Bearer " prefix on a token is ignored */
+function parseSecrets(value) {
+  return (value || "").split(",").map(s => s.trim().replace(/^Bearer\s+/i, "")).filter(Boolean);
+}
+
+const WEBHOOK_TOKENS = parseSecrets(process.env.PB_WEBHOOK_AUTH); // PB sends one in Authorization
+const WEBHOOK_SIGNING_SECRETS = parseSecrets(process.env.PB_WEBHOOK_SIGNING_SECRET);
+const WEBHOOK_SIGNATURE_HEADER = process.env.PB_WEBHOOK_SIGNATURE_HEADER || "x-pb-signature";
+const WEBHOOK_TIMESTAMP_HEADER = process.env.PB_WEBHOOK_TIMESTAMP_HEADER || "x-pb-timestamp";
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS ?? 300);
+// Admin endpoints fall back to the webhook tokens so existing deployments keep working
+const ADMIN_TOKENS = process.env.PB_ADMIN_AUTH !== undefined ? parseSecrets(process.env.PB_ADMIN_AUTH) : WEBHOOK_TOKENS;
+
+if (WEBHOOK_TOKENS.length === 0 && WEBHOOK_SIGNING_SECRETS.length === 0) {
+  log.warn("❗ Neither PB_WEBHOOK_AUTH nor PB_WEBHOOK_SIGNING_SECRET is set - all webhooks will be rejected");
+}
+if (ADMIN_TOKENS.length === 0) {
+  log.warn("❗ PB_ADMIN_AUTH is not set - all admin requests will be rejected");
+} else if (process.env.PB_ADMIN_AUTH === undefined) {
+  log.warn("❗ PB_ADMIN_AUTH is not set - admin endpoints accept the webhook token; set PB_ADMIN_AUTH to separate them");
+}
+
+/** Constant-time string comparison (hashing first makes the lengths equal) */
+function safeEqual(a, b) {
+  const digest = (v) => createHash("sha256").update(String(v)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+/** Whether the value matches any of the secrets; checks all of them so timing doesn't reveal which */
+function matchesAnySecret(value, secrets) {
+  let matched = false;
+  for (const secret of secrets) matched = safeEqual(value, secret) || matched;
+  return matched;
+}
+
+/** Token from an Authorization header, in "Bearer <token>" or plain format */
+function bearerToken(req) {
+  return (req.get("authorization") || "").trim().replace(/^Bearer\s+/i, "");
+}
+
+/** Timestamp header value (Unix seconds, Unix ms or ISO) in ms; null if it can't be parsed */
+function parseWebhookTimestamp(raw) {
+  if (/^\d+$/.test(raw)) {
+    const n = Number(raw);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const ms = Date.parse(raw);
+  return Number.isNaN(ms) ? null : ms;
 }
 
 /**
- * Remove processing mark for a feature webhook
+ * Verify the HMAC-SHA256 body signature ("sha256=<hex>" or bare hex) against every signing secret.
+ * The signed content is "<timestamp>.<raw body>", binding the signature to the timestamp header.
+ * Only this signed timestamp is age-checked: an unsigned one could simply be rewritten by whoever
+ * replays the request.
  */
-function unmarkProcessing(featureId, eventType, timeframeEnd = null) {
-  const key = getDedupKey(featureId, eventType, timeframeEnd);
-  processingCache.delete(key);
+function verifyWebhookSignature(req) {
+  const header = req.get(WEBHOOK_SIGNATURE_HEADER);
+  if (!header) return { ok: false, reason: "missing_signature", message: `Missing ${WEBHOOK_SIGNATURE_HEADER} header` };
+  const timestamp = req.get(WEBHOOK_TIMESTAMP_HEADER);
+  if (!timestamp) return { ok: false, reason: "missing_timestamp", message: `Signed webhooks need a ${WEBHOOK_TIMESTAMP_HEADER} header` };
+  const signature = header.trim().replace(/^sha256=/i, "").toLowerCase();
+  const payload = Buffer.concat([Buffer.from(`${timestamp}.`), req.rawBody || Buffer.alloc(0)]);
+  const expected = WEBHOOK_SIGNING_SECRETS.map(secret => createHmac("sha256", secret).update(payload).digest("hex"));
+  if (!matchesAnySecret(signature, expected)) return { ok: false, reason: "invalid_signature", message: "Invalid signature" };
+  if (WEBHOOK_TOLERANCE_SECONDS > 0) {
+    const ms = parseWebhookTimestamp(timestamp.trim());
+    if (ms === null || Math.abs(Date.now() - ms) > WEBHOOK_TOLERANCE_SECONDS * 1000) {
+      return { ok: false, reason: "stale_timestamp", message: `Event timestamp is more than ${WEBHOOK_TOLERANCE_SECONDS}s from server time` };
+    }
+    return { ok: true, timestamp: ms, signature };
+  }
+  return { ok: true };
+}
+
+/**
+ * Record an accepted signature until its timestamp leaves the tolerance window, so an identical
+ * request replayed within the window is caught. Resolves with the claim's owner token, or null if
+ * the signature was seen before. Kept in the dedup store so every instance sees it.
+ */
+async function claimWebhookSignature(check) {
+  const owner = randomUUID();
+  const ttl = Math.max(1000, check.timestamp + WEBHOOK_TOLERANCE_SECONDS * 1000 - Date.now());
+  const holder = await dedupStore.acquire(webhookSignatureKey(check), { timestamp: Date.now(), owner }, ttl);
+  return holder ? null : owner;
 }
 
-// --- Authentication Middleware ---
+const webhookSignatureKey = ({ timestamp, signature }) => `webhook-signature:${timestamp}:${signature}`;
+
+/** Reject a request with 401, logging only a prefix of the presented credential */
+function rejectUnauthorized(req, res, reason, message) {
+  const auth = req.get("authorization") || "";
+  log.warn("Unauthorized request", {
+    endpoint: req.path,
+    ip: req.ip,
+    reason,
+    auth: auth ? auth.slice(0, 12) + "…" : "<empty>"
+  });
+  return res.status(401).json({ error: "unauthorized", message });
+}
 
 /**
- * Authentication middleware - validates Bearer token from Authorization header
+ * Admin authentication middleware - validates the Bearer token against PB_ADMIN_AUTH
  * Supports both "Bearer <token>" and plain token formats
  */
 function requireAuth(req, res, next) {
-  const auth = req.get("authorization") || "";
-  const expectedAuth = WEBHOOK_AUTH.startsWith("Bearer ") ? WEBHOOK_AUTH : `Bearer ${WEBHOOK_AUTH}`;
-
-  if (auth !== expectedAuth && auth !== WEBHOOK_AUTH) {
-    log.warn("Unauthorized request", {
-      endpoint: req.path,
-      ip: req.ip,
-      auth: auth ? auth.slice(0, 12) + "…" : "<empty>"
-    });
-    return res.status(401).json({ error: "unauthorized", message: "Invalid or missing authentication" });
+  if (!matchesAnySecret(bearerToken(req), ADMIN_TOKENS)) {
+    return rejectUnauthorized(req, res, "invalid_token", "Invalid or missing authentication");
   }
+  next();
+}
 
+/**
+ * Webhook authentication middleware. Checks, in order:
+ * - the Bearer token against PB_WEBHOOK_AUTH (when set)
+ * - the HMAC body signature against PB_WEBHOOK_SIGNING_SECRET (when set), including that the
+ *   signed timestamp is within WEBHOOK_TOLERANCE_SECONDS of now, so captured requests can't be
+ *   replayed later, and that the same signed request wasn't already accepted within that window
+ */
+async function requireWebhookAuth(req, res, next) {
+  if (WEBHOOK_TOKENS.length === 0 && WEBHOOK_SIGNING_SECRETS.length === 0) {
+    countWebhook("unknown", "rejected", "auth_not_configured");
+    return rejectUnauthorized(req, res, "auth_not_configured", "Webhook authentication is not configured");
+  }
+  if (WEBHOOK_TOKENS.length > 0 && !matchesAnySecret(bearerToken(req), WEBHOOK_TOKENS)) {
+    countWebhook("unknown", "rejected", "invalid_token");
+    return rejectUnauthorized(req, res, "invalid_token", "Invalid or missing authentication");
+  }
+  if (WEBHOOK_SIGNING_SECRETS.length > 0) {
+    const check = verifyWebhookSignature(req);
+    if (!check.ok) {
+      countWebhook("unknown", "rejected", check.reason);
+      return rejectUnauthorized(req, res, check.reason, check.message);
+    }
+    if (check.timestamp !== undefined) {
+      let owner;
+      try {
+        owner = await claimWebhookSignature(check);
+      } catch (err) {
+        logWithRequest(req).err("Replay check failed:", err?.message);
+        countWebhook("unknown", "error", "internal_error");
+        return res.status(500).send("internal");
+      }
+      if (!owner) {
+        countWebhook("unknown", "rejected", "replayed");
+        return rejectUnauthorized(req, res, "replayed", "This signed request was already received");
+      }
+      // A failed delivery is retried by Productboard, possibly unchanged, so only successes use up the signature
+      res.on("finish", () => {
+        if (res.statusCode >= 500) {
+          dedupStore.release(webhookSignatureKey(check), owner).catch(err =>
+            log.warn(`Could not release webhook signature: ${err.message}`)
+          );
+        }
+      });
+    }
+  }
   next();
 }
 
@@ -235,60 +1096,242 @@ function releaseWithTimeframeExists(existingReleases, start, end) {
   );
 }
 
-/** Seed Monthly periods from start to end (inclusive by day) */
-function buildMonthlyPeriods(rangeStart, rangeEnd) {
-  const periods = [];
-  // iterate months starting from the 1st of rangeStart.month
-  let cursor = atUTC(rangeStart.getUTCFullYear(), rangeStart.getUTCMonth(), 1);
-  const last = atUTC(rangeEnd.getUTCFullYear(), rangeEnd.getUTCMonth(), 1);
-  while (cursor <= last) {
-    const y = cursor.getUTCFullYear();
-    const m = cursor.getUTCMonth();
-    const start = startOfDayUTC(atUTC(y, m, 1));
-    const nextMonth = addMonths(cursor, 1);
-    const end = startOfDayUTC(addDays(nextMonth, -1));
-    const name = `${monthLong(start)} ${y}`;
-    periods.push({ name, start, end });
-    cursor = nextMonth;
-  }
-  return periods;
+/** ISO-8601 week number and week-year (weeks start Monday; week 1 contains the year's first Thursday) */
+function isoWeekOf(d) {
+  const thursday = addDays(startOfDayUTC(d), 3 - ((d.getUTCDay() + 6) % 7));
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - atUTC(year, 0, 1)) / (7 * 24 * 3600 * 1000)) + 1;
+  return { week, year };
 }
 
-/** Seed Weekly periods (Mon–Sun) from rangeStart to rangeEnd */
-function buildWeeklyPeriods(rangeStart, rangeEnd) {
-  const periods = [];
-  // find Monday on or before rangeStart
-  const day = rangeStart.getUTCDay(); // 0=Sun,...6=Sat
-  const deltaToMonday = (day === 0 ? -6 : 1 - day);
-  let monday = startOfDayUTC(addDays(rangeStart, deltaToMonday));
-  const endBoundary = endOfDayUTC(rangeEnd);
+/** Tokens shared by every period (based on its start date), available to name and description templates */
+function periodTokens(start, end) {
+  const iso = isoWeekOf(start);
+  return {
+    yyyy: String(start.getUTCFullYear()),
+    yy: String(start.getUTCFullYear()).slice(-2),
+    m: String(start.getUTCMonth() + 1),
+    mm: String(start.getUTCMonth() + 1).padStart(2, '0'),
+    d: String(start.getUTCDate()),
+    dd: String(start.getUTCDate()).padStart(2, '0'),
+    monthLong: monthLong(start),
+    monthShort: monthShort(start),
+    isoWeek: String(iso.week).padStart(2, '0'),
+    isoWeekYear: String(iso.year),
+    startDate: toYMDUTC(start),
+    endDate: toYMDUTC(end),
+    startShort: `${monthShort(start)} ${start.getUTCDate()}`,
+    endShort: `${monthShort(end)} ${end.getUTCDate()}`,
+  };
+}
 
-  while (monday <= endBoundary) {
-    const sunday = startOfDayUTC(addDays(monday, 6));
-    const monthIdxMonday = monday.getUTCMonth();
-    // week number within the month (count Mondays)
-    const firstOfMonth = atUTC(monday.getUTCFullYear(), monthIdxMonday, 1);
-    const firstMonthDay = firstOfMonth.getUTCDay();
-    const firstMondayDelta = (firstMonthDay === 0 ? 1 : (firstMonthDay <= 1 ? 0 : 8 - firstMonthDay));
-    const firstMonday = startOfDayUTC(addDays(firstOfMonth, firstMondayDelta));
-    const weekNum = Math.floor((monday - firstMonday) / (7 * 24 * 3600 * 1000)) + 1;
-    const name = `${monthShort(monday)} week ${weekNum} ${monday.getUTCFullYear()}`;
-    periods.push({ name, start: monday, end: sunday });
-    monday = startOfDayUTC(addDays(monday, 7));
-  }
-  return periods;
+/** Replace {{token}} placeholders; unknown tokens are left as-is so misconfigurations stay visible */
+function renderTemplate(template, tokens) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    tokens[key] !== undefined && tokens[key] !== null ? String(tokens[key]) : match
+  );
 }
 
-/** Seed Quarterly periods; allow custom anchor month via ENV (1-12). Default Jan. */
-function buildQuarterlyPeriods(rangeStart, rangeEnd, anchorMonth1to12) {
-  const anchor = Math.max(1, Math.min(12, Number(anchorMonth1to12) || 1)) - 1; // 0-11
-  // find the quarter start on or before rangeStart
-  function quarterStartFor(date) {
-    const y = date.getUTCFullYear();
-    const m = date.getUTCMonth();
-    const offset = (12 + (m - anchor)) % 3; // months since last quarter start
-    const qStartMonth = m - offset;
-    const qYear = y + Math.floor((qStartMonth) / 12);
+// --- Fiscal Calendar ---
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const RETAIL_PATTERNS = {
+  "4-4-5": [4, 4, 5],
+  "4-5-4": [4, 5, 4],
+  "5-4-4": [5, 4, 4],
+};
+
+/**
+ * Fiscal calendar shape (normalized):
+ * - startMonth: 0-11, first month of the fiscal year
+ * - yearLabel: "end" names the fiscal year after the calendar year it ends in (FY27 = Aug 2026–Jul 2027), "start" after the one it starts in
+ * - labelFormat: template for the fiscal year label, tokens {{yyyy}} / {{yy}} (default "FY{{yy}}")
+ * - pattern: null for calendar-month periods, or weeks per month in each quarter for retail calendars ([4,4,5] etc.)
+ * - weekEndDay: 0-6, weekday retail fiscal years end on (default Saturday)
+ * - yearEnd: "last" ends retail years on the last weekEndDay of the final month, "nearest" on the one nearest its last day
+ */
+function normalizeFiscalConfig(raw) {
+  const startMonth = Number(raw.startMonth ?? 1);
+  if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+    throw new Error(`fiscal.startMonth must be 1-12 (got ${raw.startMonth})`);
+  }
+  const yearLabel = raw.yearLabel || "end";
+  if (!["end", "start"].includes(yearLabel)) {
+    throw new Error(`fiscal.yearLabel must be "end" or "start" (got ${raw.yearLabel})`);
+  }
+  let pattern = null;
+  if (raw.pattern) {
+    pattern = RETAIL_PATTERNS[raw.pattern];
+    if (!pattern) {
+      throw new Error(`fiscal.pattern must be one of ${Object.keys(RETAIL_PATTERNS).join(", ")} (got ${raw.pattern})`);
+    }
+  }
+  const weekEndDay = WEEKDAYS.indexOf(String(raw.weekEndDay || "saturday").toLowerCase());
+  if (weekEndDay === -1) {
+    throw new Error(`fiscal.weekEndDay must be a weekday name (got ${raw.weekEndDay})`);
+  }
+  const yearEnd = raw.yearEnd || "last";
+  if (!["last", "nearest"].includes(yearEnd)) {
+    throw new Error(`fiscal.yearEnd must be "last" or "nearest" (got ${raw.yearEnd})`);
+  }
+  return { startMonth: startMonth - 1, yearLabel, labelFormat: raw.labelFormat || "FY{{yy}}", pattern, weekEndDay, yearEnd };
+}
+
+/** Retail calendars: the day the fiscal year ending in calendar year `calYear` ends */
+function retailYearEnd(fiscal, calYear) {
+  const endMonth = (fiscal.startMonth + 11) % 12;
+  const lastDay = atUTC(calYear, endMonth + 1, 0);
+  const back = (lastDay.getUTCDay() - fiscal.weekEndDay + 7) % 7;
+  let end = addDays(lastDay, -back); // last weekEndDay on or before month end
+  if (fiscal.yearEnd === "nearest" && back > 3) end = addDays(end, 7);
+  return startOfDayUTC(end);
+}
+
+/**
+ * The fiscal year containing `date`: { start, end, fy, fyLabel, months: [{ fm, start, end }] }.
+ * Month-based calendars use calendar months; retail calendars split 52/53 weeks by the pattern,
+ * with the extra week of a 53-week year added to the last period.
+ */
+function fiscalYearFor(fiscal, date) {
+  let start;
+  let end;
+  let endYear; // calendar year of the fiscal year's final month
+  if (!fiscal.pattern) {
+    const startYear = date.getUTCMonth() >= fiscal.startMonth ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+    start = atUTC(startYear, fiscal.startMonth, 1);
+    end = startOfDayUTC(addDays(addMonths(start, 12), -1));
+    endYear = end.getUTCFullYear();
+  } else {
+    endYear = date.getUTCFullYear() - 1;
+    while (retailYearEnd(fiscal, endYear) < startOfDayUTC(date)) endYear++;
+    start = startOfDayUTC(addDays(retailYearEnd(fiscal, endYear - 1), 1));
+    end = retailYearEnd(fiscal, endYear);
+  }
+
+  const labelYear = fiscal.yearLabel === "end" || fiscal.startMonth === 0 ? endYear : endYear - 1;
+  const fyLabel = renderTemplate(fiscal.labelFormat, { yyyy: String(labelYear), yy: String(labelYear).slice(-2) });
+
+  const months = [];
+  if (!fiscal.pattern) {
+    for (let i = 0; i < 12; i++) {
+      const mStart = addMonths(start, i);
+      months.push({ fm: i + 1, start: mStart, end: startOfDayUTC(addDays(addMonths(start, i + 1), -1)) });
+    }
+  } else {
+    let cursor = start;
+    for (let i = 0; i < 12; i++) {
+      const mEnd = i === 11 ? end : startOfDayUTC(addDays(cursor, fiscal.pattern[i % 3] * 7 - 1));
+      months.push({ fm: i + 1, start: cursor, end: mEnd });
+      cursor = startOfDayUTC(addDays(mEnd, 1));
+    }
+  }
+
+  return { start, end, fy: labelYear, fyLabel, months };
+}
+
+/** All fiscal years overlapping [rangeStart, rangeEnd] */
+function fiscalYearsInRange(fiscal, rangeStart, rangeEnd) {
+  const years = [];
+  let fy = fiscalYearFor(fiscal, rangeStart);
+  while (fy.start <= rangeEnd) {
+    years.push(fy);
+    fy = fiscalYearFor(fiscal, addDays(fy.end, 1));
+  }
+  return years;
+}
+
+/** Fiscal tokens for a period inside fiscal year `fy`, available to name templates */
+function fiscalTokens(fy, extra = {}) {
+  return { fy: fy.fy, fyLabel: fy.fyLabel, ...extra };
+}
+
+/** Keep periods overlapping [rangeStart, rangeEnd] (day granularity) */
+function overlapsRange(p, rangeStart, rangeEnd) {
+  return toYMDUTC(p.end) >= toYMDUTC(rangeStart) && toYMDUTC(p.start) <= toYMDUTC(rangeEnd);
+}
+
+/** Seed Monthly periods from start to end (inclusive by day) */
+function buildMonthlyPeriods(rangeStart, rangeEnd, fiscal = null) {
+  if (fiscal) return buildFiscalMonthlyPeriods(rangeStart, rangeEnd, fiscal);
+  const periods = [];
+  // iterate months starting from the 1st of rangeStart.month
+  let cursor = atUTC(rangeStart.getUTCFullYear(), rangeStart.getUTCMonth(), 1);
+  const last = atUTC(rangeEnd.getUTCFullYear(), rangeEnd.getUTCMonth(), 1);
+  while (cursor <= last) {
+    const y = cursor.getUTCFullYear();
+    const m = cursor.getUTCMonth();
+    const start = startOfDayUTC(atUTC(y, m, 1));
+    const nextMonth = addMonths(cursor, 1);
+    const end = startOfDayUTC(addDays(nextMonth, -1));
+    const name = `${monthLong(start)} ${y}`;
+    periods.push({ name, start, end, tokens: periodTokens(start, end) });
+    cursor = nextMonth;
+  }
+  return periods;
+}
+
+/**
+ * Fiscal months: calendar months keep their calendar names; retail (4-4-5 style) periods are named
+ * after the calendar month containing most of the period plus the fiscal year, e.g. "August FY27".
+ */
+function buildFiscalMonthlyPeriods(rangeStart, rangeEnd, fiscal) {
+  const periods = [];
+  for (const fy of fiscalYearsInRange(fiscal, rangeStart, rangeEnd)) {
+    for (const { fm, start, end } of fy.months) {
+      const mid = addDays(start, Math.floor((end - start) / (2 * 24 * 3600 * 1000)));
+      const name = fiscal.pattern ? `${monthLong(mid)} ${fy.fyLabel}` : `${monthLong(start)} ${start.getUTCFullYear()}`;
+      const tokens = { ...periodTokens(start, end), monthLong: monthLong(mid), monthShort: monthShort(mid), ...fiscalTokens(fy, { fm, fq: Math.ceil(fm / 3) }) };
+      periods.push({ name, start, end, tokens });
+    }
+  }
+  return periods.filter(p => overlapsRange(p, rangeStart, rangeEnd));
+}
+
+/**
+ * Seed Weekly periods from rangeStart to rangeEnd.
+ * - weekStart: "monday" (Mon–Sun, default) or "sunday" (Sun–Sat)
+ * - numbering: "month" counts weeks within the month of the week's first day ("Mar week 2 2026");
+ *   "iso" uses ISO-8601 week-year and week number ("2026-W09"), which requires Monday weeks
+ */
+function buildWeeklyPeriods(rangeStart, rangeEnd, { weekStart = "monday", numbering = "month" } = {}) {
+  const periods = [];
+  const startDay = weekStart === "sunday" ? 0 : 1;
+  // find the first day of the week on or before rangeStart
+  const day = rangeStart.getUTCDay(); // 0=Sun,...6=Sat
+  let first = startOfDayUTC(addDays(rangeStart, -((day - startDay + 7) % 7)));
+  const endBoundary = endOfDayUTC(rangeEnd);
+
+  while (first <= endBoundary) {
+    const last = startOfDayUTC(addDays(first, 6));
+    const tokens = periodTokens(first, last);
+    let name;
+    if (numbering === "iso") {
+      name = `${tokens.isoWeekYear}-W${tokens.isoWeek}`;
+    } else {
+      // week number within the month (count week start days)
+      const firstOfMonth = atUTC(first.getUTCFullYear(), first.getUTCMonth(), 1);
+      const firstWeekStart = startOfDayUTC(addDays(firstOfMonth, (startDay - firstOfMonth.getUTCDay() + 7) % 7));
+      const weekNum = Math.floor((first - firstWeekStart) / (7 * 24 * 3600 * 1000)) + 1;
+      tokens.weekOfMonth = weekNum;
+      name = `${monthShort(first)} week ${weekNum} ${first.getUTCFullYear()}`;
+    }
+    periods.push({ name, start: first, end: last, tokens });
+    first = startOfDayUTC(addDays(first, 7));
+  }
+  return periods;
+}
+
+/** Seed Quarterly periods; allow custom anchor month via ENV (1-12). Default Jan. */
+function buildQuarterlyPeriods(rangeStart, rangeEnd, anchorMonth1to12, fiscal = null) {
+  if (fiscal) return buildFiscalQuarterlyPeriods(rangeStart, rangeEnd, fiscal);
+  const anchor = Math.max(1, Math.min(12, Number(anchorMonth1to12) || 1)) - 1; // 0-11
+  // find the quarter start on or before rangeStart
+  function quarterStartFor(date) {
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth();
+    const offset = (12 + (m - anchor)) % 3; // months since last quarter start
+    const qStartMonth = m - offset;
+    const qYear = y + Math.floor((qStartMonth) / 12);
     const qMonth = (qStartMonth + 12) % 12;
     return atUTC(qYear, qMonth, 1);
   }
@@ -304,18 +1347,63 @@ function buildQuarterlyPeriods(rangeStart, rangeEnd, anchorMonth1to12) {
   while (qStart <= boundary) {
     const qEnd = startOfDayUTC(addDays(nextQuarterStart(qStart), -1));
     // quarter index relative to anchor
-    const totalMonths = (qStart.getUTCFullYear() - atUTC(0,0,1).getUTCFullYear()) * 12 + (qStart.getUTCMonth() - 0);
     const posWithinYear = (12 + (qStart.getUTCMonth() - anchor)) % 12;
     const qIndex = Math.floor(posWithinYear / 3) + 1; // 1..4
     const name = `Q${qIndex} ${qStart.getUTCFullYear()}`;
-    periods.push({ name, start: qStart, end: qEnd });
+    periods.push({ name, start: qStart, end: qEnd, tokens: { ...periodTokens(qStart, qEnd), q: qIndex } });
     qStart = nextQuarterStart(qStart);
   }
   return periods;
 }
 
+/** Fiscal quarters: three fiscal months each, named relative to the fiscal year, e.g. "Q1 FY27" */
+function buildFiscalQuarterlyPeriods(rangeStart, rangeEnd, fiscal) {
+  const periods = [];
+  for (const fy of fiscalYearsInRange(fiscal, rangeStart, rangeEnd)) {
+    for (let fq = 1; fq <= 4; fq++) {
+      const start = fy.months[(fq - 1) * 3].start;
+      const end = fy.months[fq * 3 - 1].end;
+      const name = `Q${fq} ${fy.fyLabel}`;
+      periods.push({ name, start, end, tokens: { ...periodTokens(start, end), q: fq, ...fiscalTokens(fy, { fq }) } });
+    }
+  }
+  return periods.filter(p => overlapsRange(p, rangeStart, rangeEnd));
+}
+
+/** Seed Half-year periods; anchor month (1-12) marks the start of H1. Default Jan. */
+function buildHalfYearPeriods(rangeStart, rangeEnd, anchorMonth1to12) {
+  const anchor = Math.max(1, Math.min(12, Number(anchorMonth1to12) || 1)) - 1; // 0-11
+  // half start on or before rangeStart
+  const m = rangeStart.getUTCMonth();
+  const offset = (12 + (m - anchor)) % 6;
+  let hStart = atUTC(rangeStart.getUTCFullYear(), m - offset, 1);
+  const boundary = atUTC(rangeEnd.getUTCFullYear(), rangeEnd.getUTCMonth(), 1);
+
+  const periods = [];
+  while (hStart <= boundary) {
+    const next = addMonths(hStart, 6);
+    const hEnd = startOfDayUTC(addDays(next, -1));
+    const posWithinYear = (12 + (hStart.getUTCMonth() - anchor)) % 12;
+    const hIndex = posWithinYear < 6 ? 1 : 2;
+    // Both halves carry the year H1 starts in, so a July anchor gives H1 2026 (Jul-Dec) then H2 2026 (Jan-Jun 2027)
+    const h1Start = hIndex === 1 ? hStart : addMonths(hStart, -6);
+    const name = `H${hIndex} ${h1Start.getUTCFullYear()}`;
+    periods.push({ name, start: hStart, end: hEnd, tokens: { ...periodTokens(hStart, hEnd), h: hIndex } });
+    hStart = next;
+  }
+  return periods;
+}
+
 /** Seed Yearly periods from start to end (inclusive by day) */
-function buildYearlyPeriods(rangeStart, rangeEnd) {
+function buildYearlyPeriods(rangeStart, rangeEnd, fiscal = null) {
+  if (fiscal) {
+    return fiscalYearsInRange(fiscal, rangeStart, rangeEnd).map(fy => ({
+      name: fy.fyLabel,
+      start: fy.start,
+      end: fy.end,
+      tokens: { ...periodTokens(fy.start, fy.end), ...fiscalTokens(fy) }
+    }));
+  }
   const periods = [];
   // Start from the beginning of the year containing rangeStart
   let year = rangeStart.getUTCFullYear();
@@ -325,14 +1413,405 @@ function buildYearlyPeriods(rangeStart, rangeEnd) {
     const start = startOfDayUTC(atUTC(year, 0, 1)); // Jan 1
     const end = startOfDayUTC(atUTC(year, 11, 31)); // Dec 31
     const name = `${year}`;
-    periods.push({ name, start, end });
+    periods.push({ name, start, end, tokens: periodTokens(start, end) });
     year++;
   }
   return periods;
 }
 
-/** Ensure seed for a group, creating missing [start,end] periods only */
-async function ensureSeedForGroup(groupId, periods, existingReleases, createdAccumulator, failedAccumulator, granularity) {
+/**
+ * Seed Sprint periods: fixed-length cadence (N days) anchored to the start date of a known sprint.
+ * Sprint numbers count from firstNumber at the anchor; names look like "Sprint 42 (Mar 3 – Mar 16)".
+ */
+function buildSprintPeriods(rangeStart, rangeEnd, { anchorDate, lengthDays, firstNumber = 1 }) {
+  const anchor = startOfDayUTC(new Date(anchorDate));
+  const dayMs = 24 * 3600 * 1000;
+  // sprint containing rangeStart (may be before the anchor)
+  let index = Math.floor((startOfDayUTC(rangeStart) - anchor) / (lengthDays * dayMs));
+  let start = startOfDayUTC(addDays(anchor, index * lengthDays));
+  const endBoundary = endOfDayUTC(rangeEnd);
+
+  const periods = [];
+  while (start <= endBoundary) {
+    const end = startOfDayUTC(addDays(start, lengthDays - 1));
+    const sprint = firstNumber + index;
+    const tokens = { ...periodTokens(start, end), sprint };
+    const name = `Sprint ${sprint} (${tokens.startShort} – ${tokens.endShort})`;
+    periods.push({ name, start, end, tokens });
+    start = startOfDayUTC(addDays(start, lengthDays));
+    index++;
+  }
+  return periods;
+}
+
+/** Custom periods come verbatim from config; keep those overlapping [rangeStart, rangeEnd] */
+function buildCustomPeriods(rangeStart, rangeEnd, customPeriods = []) {
+  return customPeriods
+    .map(p => {
+      const start = startOfDayUTC(new Date(p.start));
+      const end = startOfDayUTC(new Date(p.end));
+      return { name: p.name, start, end, tokens: { ...periodTokens(start, end), name: p.name } };
+    })
+    .filter(p => overlapsRange(p, rangeStart, rangeEnd))
+    .sort((x, y) => x.start - y.start);
+}
+
+// --- Release Group Configuration ---
+
+/**
+ * Period types a release group can use.
+ * - build(rangeStart, rangeEnd, period) returns [{ name, start, end, tokens }]
+ * - granularity is the Productboard timeframe granularity for created releases
+ * - horizon is the default seeding horizon from "today"
+ */
+const PERIOD_TYPES = {
+  week: {
+    build: (rangeStart, rangeEnd, period) => buildWeeklyPeriods(rangeStart, rangeEnd, period),
+    granularity: "day",
+    horizon: { years: 1 },
+  },
+  month: {
+    build: (rangeStart, rangeEnd, period) => buildMonthlyPeriods(rangeStart, rangeEnd, period.fiscal),
+    granularity: "month",
+    horizon: { years: 1 },
+  },
+  quarter: {
+    build: (rangeStart, rangeEnd, period) => buildQuarterlyPeriods(rangeStart, rangeEnd, period.anchorMonth, period.fiscal),
+    granularity: "quarter",
+    horizon: { years: 1 },
+  },
+  "half-year": {
+    build: (rangeStart, rangeEnd, period) => buildHalfYearPeriods(rangeStart, rangeEnd, period.anchorMonth),
+    granularity: "day",
+    horizon: { years: 2 },
+  },
+  year: {
+    build: (rangeStart, rangeEnd, period) => buildYearlyPeriods(rangeStart, rangeEnd, period.fiscal),
+    granularity: "year",
+    horizon: { years: 5 },
+  },
+  sprint: {
+    build: (rangeStart, rangeEnd, period) => buildSprintPeriods(rangeStart, rangeEnd, period),
+    granularity: "day",
+    horizon: { months: 6 },
+  },
+  custom: {
+    build: (rangeStart, rangeEnd, period) => buildCustomPeriods(rangeStart, rangeEnd, period.periods),
+    granularity: "day",
+    horizon: { years: 1 },
+  },
+};
+
+const HORIZON_UNITS = ["years", "months", "weeks", "days"];
+const FISCAL_PERIOD_TYPES = ["month", "quarter", "year"];
+// Which part of a feature's timeframe picks its release(s) in a group (see pickTargetReleases)
+const ASSIGNMENT_STRATEGIES = ["end", "start", "midpoint", "largest-overlap", "all-overlapping"];
+// How past releases are archived: the release fields set, and how to tell a release is already done
+const ARCHIVE_MODES = {
+  archived: { fields: { archived: true }, isDone: (r) => r.fields?.archived === true },
+  completed: { fields: { state: "completed" }, isDone: (r) => r.fields?.state === "completed" },
+};
+
+/** End of the seeding range: rangeStart + horizon (any of years/months/weeks/days), end of day */
+function addHorizon(rangeStart, horizon) {
+  const end = atUTC(
+    rangeStart.getUTCFullYear() + (horizon.years || 0),
+    rangeStart.getUTCMonth() + (horizon.months || 0),
+    rangeStart.getUTCDate() + 7 * (horizon.weeks || 0) + (horizon.days || 0)
+  );
+  return endOfDayUTC(end);
+}
+
+/**
+ * Release groups used when no config file is present: the original four env-configured groups.
+ * QUARTER_START_MONTH sets the quarterly anchor month (1-12), WEEK_START_DAY / WEEK_NUMBERING
+ * configure the weekly group. Setting FISCAL_YEAR_START_MONTH or
+ * FISCAL_PATTERN switches the monthly, quarterly and yearly groups to the fiscal calendar.
+ */
+function legacyReleaseGroupsConfig() {
+  const useFiscal = Boolean(process.env.FISCAL_YEAR_START_MONTH || process.env.FISCAL_PATTERN);
+  const calendar = useFiscal ? "fiscal" : "calendar";
+  return {
+    ...(useFiscal && {
+      fiscal: {
+        startMonth: process.env.FISCAL_YEAR_START_MONTH || "1",
+        yearLabel: process.env.FISCAL_YEAR_LABEL,
+        labelFormat: process.env.FISCAL_YEAR_FORMAT,
+        pattern: process.env.FISCAL_PATTERN,
+        weekEndDay: process.env.FISCAL_WEEK_END_DAY,
+        yearEnd: process.env.FISCAL_YEAR_END,
+      }
+    }),
+    groups: [
+      { key: "weekly", idEnv: "RELEASE_GROUP_WEEKLY_ID", period: { type: "week", weekStart: process.env.WEEK_START_DAY, numbering: process.env.WEEK_NUMBERING } },
+      { key: "monthly", idEnv: "RELEASE_GROUP_MONTHLY_ID", period: { type: "month", calendar } },
+      { key: "quarterly", idEnv: "RELEASE_GROUP_QUARTERLY_ID", period: { type: "quarter", anchorMonth: process.env.QUARTER_START_MONTH || "1", calendar } },
+      { key: "yearly", idEnv: "RELEASE_GROUP_YEARLY_ID", period: { type: "year", calendar } },
+    ]
+  };
+}
+
+/** Env variable suffix for a group key, e.g. "half-yearly" -> "HALF_YEARLY" */
+function groupEnvSuffix(key) {
+  return key.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+/** Validate one group entry and fill in defaults; throws with a descriptive message */
+function normalizeGroupConfig(raw, index, fiscal, templateVars = {}) {
+  const where = `groups[${index}]${raw?.key ? ` (${raw.key})` : ""}`;
+  if (!raw || typeof raw !== "object") throw new Error(`${where}: must be an object`);
+  if (!raw.key || typeof raw.key !== "string") throw new Error(`${where}: "key" is required`);
+
+  const period = typeof raw.period === "string" ? { type: raw.period } : { ...(raw.period || {}) };
+  const periodType = PERIOD_TYPES[period.type];
+  if (!periodType) {
+    throw new Error(`${where}: unknown period type "${period.type}" (expected one of ${Object.keys(PERIOD_TYPES).join(", ")})`);
+  }
+  if (period.type === "custom" && !Array.isArray(period.periods)) {
+    throw new Error(`${where}: custom period type requires a "periods" array of { name, start, end }`);
+  }
+  if (period.calendar === "fiscal") {
+    if (!FISCAL_PERIOD_TYPES.includes(period.type)) {
+      throw new Error(`${where}: fiscal calendar is only supported for ${FISCAL_PERIOD_TYPES.join(", ")} periods`);
+    }
+    if (!fiscal) throw new Error(`${where}: uses the fiscal calendar but no "fiscal" section is configured`);
+    period.fiscal = fiscal;
+  } else if (period.calendar && period.calendar !== "calendar") {
+    throw new Error(`${where}: period.calendar must be "calendar" or "fiscal" (got ${period.calendar})`);
+  }
+  if (period.type === "week") {
+    period.weekStart = String(period.weekStart || "monday").toLowerCase();
+    period.numbering = String(period.numbering || "month").toLowerCase();
+    if (!["monday", "sunday"].includes(period.weekStart)) {
+      throw new Error(`${where}: period.weekStart must be "monday" or "sunday" (got ${period.weekStart})`);
+    }
+    if (!["month", "iso"].includes(period.numbering)) {
+      throw new Error(`${where}: period.numbering must be "month" or "iso" (got ${period.numbering})`);
+    }
+    if (period.numbering === "iso" && period.weekStart !== "monday") {
+      throw new Error(`${where}: ISO week numbering requires weekStart "monday"`);
+    }
+  }
+  if (period.type === "sprint") {
+    if (!period.anchorDate || Number.isNaN(Date.parse(period.anchorDate))) {
+      throw new Error(`${where}: sprint period type requires "anchorDate" (start date of a sprint, YYYY-MM-DD)`);
+    }
+    // length may be given in weeks or days; normalize to days
+    period.lengthDays = Number(period.lengthDays ?? (period.lengthWeeks !== undefined ? period.lengthWeeks * 7 : 14));
+    if (!Number.isInteger(period.lengthDays) || period.lengthDays < 1) {
+      throw new Error(`${where}: sprint length must be a positive whole number of days (lengthDays or lengthWeeks)`);
+    }
+    period.firstNumber = Number(period.firstNumber ?? 1);
+  }
+
+  // ASSIGN_BY_<KEY> overrides the file; ASSIGN_BY sets the default for all groups
+  const assignBy = String(process.env[`ASSIGN_BY_${groupEnvSuffix(raw.key)}`] || raw.assignBy || process.env.ASSIGN_BY || "end").toLowerCase();
+  if (!ASSIGNMENT_STRATEGIES.includes(assignBy)) {
+    throw new Error(`${where}: assignBy must be one of ${ASSIGNMENT_STRATEGIES.join(", ")} (got ${assignBy})`);
+  }
+
+  // Archival of past releases: the group's "archive" section, or ARCHIVE_AFTER_PERIODS / ARCHIVE_MODE for all groups
+  const archiveRaw = raw.archive === false ? null
+    : raw.archive ?? (process.env.ARCHIVE_AFTER_PERIODS ? { afterPeriods: process.env.ARCHIVE_AFTER_PERIODS } : null);
+  let archive = null;
+  if (archiveRaw) {
+    archive = {
+      afterPeriods: Number(archiveRaw.afterPeriods),
+      mode: String(archiveRaw.mode || process.env.ARCHIVE_MODE || "archived").toLowerCase(),
+    };
+    if (!Number.isInteger(archive.afterPeriods) || archive.afterPeriods < 0) {
+      throw new Error(`${where}: archive.afterPeriods must be a whole number of periods (got ${archiveRaw.afterPeriods})`);
+    }
+    if (!ARCHIVE_MODES[archive.mode]) {
+      throw new Error(`${where}: archive.mode must be one of ${Object.keys(ARCHIVE_MODES).join(", ")} (got ${archive.mode})`);
+    }
+  }
+
+  const horizon = raw.horizon || periodType.horizon;
+  const unknownUnits = Object.keys(horizon).filter(u => !HORIZON_UNITS.includes(u));
+  if (unknownUnits.length > 0) {
+    throw new Error(`${where}: unknown horizon unit(s) ${unknownUnits.join(", ")} (expected ${HORIZON_UNITS.join(", ")})`);
+  }
+
+  return {
+    key: raw.key,
+    id: raw.id || (raw.idEnv ? process.env[raw.idEnv] : undefined),
+    idEnv: raw.idEnv || null,
+    period,
+    // RELEASE_NAME_TEMPLATE_<KEY> / RELEASE_DESCRIPTION_TEMPLATE_<KEY> override the file (and work without one)
+    nameTemplate: process.env[`RELEASE_NAME_TEMPLATE_${groupEnvSuffix(raw.key)}`] || raw.nameTemplate || null,
+    descriptionTemplate: process.env[`RELEASE_DESCRIPTION_TEMPLATE_${groupEnvSuffix(raw.key)}`] || raw.descriptionTemplate || null,
+    templateVars: { ...templateVars, ...(raw.templateVars || {}) },
+    horizon,
+    granularity: raw.granularity || periodType.granularity,
+    assignBy,
+    // Create a missing period's release when a feature matches none (AUTO_CREATE_RELEASES sets the default)
+    autoCreate: Boolean(raw.autoCreate ?? parseFlag(process.env.AUTO_CREATE_RELEASES)),
+    archive,
+  };
+}
+
+/**
+ * Which entity types are processed and which release groups apply to each.
+ * Config file: "entityTypes" as a list of types (all groups apply) or an object mapping each type to
+ * a list of group keys, "*" for all groups. Without it, ENTITY_TYPES (comma-separated, default
+ * "feature") lists the types and ENTITY_TYPE_GROUPS_<TYPE> optionally narrows a type's groups.
+ * Returns { [type]: [groupKey, ...] } (without a prototype).
+ */
+function normalizeEntityTypes(raw, groups) {
+  const allKeys = groups.map(g => g.key);
+  const splitList = (v) => String(v).split(",").map(x => x.trim()).filter(Boolean);
+
+  let entries;
+  if (raw === undefined) {
+    entries = splitList(process.env.ENTITY_TYPES || "feature").map(type => {
+      const envGroups = process.env[`ENTITY_TYPE_GROUPS_${groupEnvSuffix(type)}`];
+      return [type, envGroups ? splitList(envGroups) : "*"];
+    });
+  } else if (Array.isArray(raw)) {
+    entries = raw.map(type => [type, "*"]);
+  } else if (raw && typeof raw === "object") {
+    entries = Object.entries(raw).map(([type, v]) => [type, v?.groups ?? v]);
+  } else {
+    throw new Error(`"entityTypes" must be a list of types or an object of type → group keys`);
+  }
+  if (entries.length === 0) throw new Error(`"entityTypes" must list at least one entity type`);
+
+  const out = Object.create(null); // looked up with webhook input, so "constructor" etc. must not match
+  for (const [type, groupKeys] of entries) {
+    if (typeof type !== "string" || !/^[a-z][a-z0-9_-]*$/.test(type) || type === "release") {
+      throw new Error(`entityTypes: invalid entity type "${type}"`);
+    }
+    if (groupKeys === "*" || groupKeys === true) {
+      out[type] = allKeys;
+      continue;
+    }
+    if (!Array.isArray(groupKeys) || groupKeys.length === 0) {
+      throw new Error(`entityTypes.${type}: expected a non-empty list of group keys or "*"`);
+    }
+    const unknown = groupKeys.filter(k => !allKeys.includes(k));
+    if (unknown.length > 0) {
+      throw new Error(`entityTypes.${type}: unknown group key(s) ${unknown.join(", ")} (expected one of ${allKeys.join(", ")})`);
+    }
+    out[type] = groupKeys;
+  }
+  return out;
+}
+
+/**
+ * Load release groups from RELEASE_GROUPS_CONFIG (JSON or YAML file), falling back to
+ * ./release-groups.json and then to the legacy env variables.
+ */
+function loadReleaseGroups() {
+  const explicitPath = process.env.RELEASE_GROUPS_CONFIG;
+  const configPath = explicitPath || (fs.existsSync("release-groups.json") ? "release-groups.json" : null);
+
+  let config;
+  let source;
+  if (configPath) {
+    const text = fs.readFileSync(configPath, "utf8");
+    config = /\.ya?ml$/i.test(configPath) ? YAML.parse(text) : JSON.parse(text);
+    source = configPath;
+  } else {
+    config = legacyReleaseGroupsConfig();
+    source = "environment";
+  }
+
+  if (!Array.isArray(config?.groups) || config.groups.length === 0) {
+    throw new Error(`${source}: "groups" must be a non-empty array`);
+  }
+  const fiscal = config.fiscal ? normalizeFiscalConfig(config.fiscal) : null;
+  // Extra template variables shared by all groups; RELEASE_NAME_PREFIX provides {{prefix}}
+  const templateVars = {
+    ...(process.env.RELEASE_NAME_PREFIX && { prefix: process.env.RELEASE_NAME_PREFIX }),
+    ...(config.templateVars || {})
+  };
+  const groups = config.groups.map((g, i) => normalizeGroupConfig(g, i, fiscal, templateVars));
+  const duplicateKeys = groups.map(g => g.key).filter((k, i, all) => all.indexOf(k) !== i);
+  if (duplicateKeys.length > 0) {
+    throw new Error(`${source}: duplicate group key(s) ${[...new Set(duplicateKeys)].join(", ")}`);
+  }
+  let entityTypes;
+  try {
+    entityTypes = normalizeEntityTypes(config.entityTypes, groups);
+  } catch (err) {
+    throw new Error(`${config.entityTypes === undefined ? "environment" : source}: ${err.message}`);
+  }
+  return { groups, entityTypes, source };
+}
+
+let RELEASE_GROUPS;
+let ENTITY_TYPES;
+try {
+  const loaded = loadReleaseGroups();
+  RELEASE_GROUPS = loaded.groups;
+  ENTITY_TYPES = loaded.entityTypes;
+  log.info(`🗂️  Loaded ${RELEASE_GROUPS.length} release group(s) from ${loaded.source}: ${RELEASE_GROUPS.map(g => `${g.key} (${g.period.type})`).join(", ")}`);
+  log.info(`🗂️  Entity types: ${Object.entries(ENTITY_TYPES).map(([type, keys]) => `${type} → ${keys.join("/")}`).join(", ")}`);
+} catch (err) {
+  log.err(`❌ Invalid release group configuration: ${err.message}`);
+  process.exit(1);
+}
+
+// Validate group IDs at startup
+const missingGroups = RELEASE_GROUPS.filter(g => !g.id).map(g => g.key);
+if (missingGroups.length > 0) {
+  log.warn(`❗ Missing release group IDs: ${missingGroups.join(', ')} - these groups will be skipped during seeding`);
+}
+
+/** Look up a configured release group by key */
+function getReleaseGroup(key) {
+  return RELEASE_GROUPS.find(g => g.key === key);
+}
+
+/** Release groups that apply to an entity type (empty if the type isn't processed) */
+function groupsForEntityType(type) {
+  const keys = ENTITY_TYPES[type] || [];
+  return RELEASE_GROUPS.filter(g => keys.includes(g.key));
+}
+
+/**
+ * Build a group's periods for [rangeStart, rangeEnd], applying its name and description templates
+ * if configured. Group/global templateVars (e.g. {{prefix}}) are available alongside period tokens.
+ */
+function buildPeriodsForGroup(group, rangeStart, rangeEnd) {
+  const periods = PERIOD_TYPES[group.period.type].build(rangeStart, rangeEnd, group.period);
+  return periods.map(p => {
+    const tokens = { ...group.templateVars, ...p.tokens };
+    return {
+      ...p,
+      tokens,
+      name: group.nameTemplate ? renderTemplate(group.nameTemplate, tokens) : p.name,
+      description: group.descriptionTemplate ? renderTemplate(group.descriptionTemplate, tokens) : "",
+    };
+  });
+}
+
+/** The period of a group that contains `date` (as the seeder would build it), or undefined */
+function expectedPeriodFor(group, date) {
+  const day = startOfDayUTC(date);
+  return buildPeriodsForGroup(group, day, day).find(p => isWithinClosedDay(day, p.start, p.end));
+}
+
+// Warn about templates referencing unknown tokens (they'd end up verbatim in release names)
+for (const group of RELEASE_GROUPS) {
+  const now = new Date();
+  const [sample] = buildPeriodsForGroup(group, now, addHorizon(now, group.horizon));
+  if (!sample) continue;
+  for (const text of [sample.name, sample.description]) {
+    const unresolved = text.match(/\{\{\s*\w+\s*\}\}/g);
+    if (unresolved) {
+      log.warn(`❗ ${group.key}: template has unknown token(s) ${unresolved.join(", ")} (e.g. "${text}")`);
+    }
+  }
+}
+
+/**
+ * Ensure seed for a group, creating missing [start,end] periods only.
+ * With dryRun, missing periods are added to createdAccumulator as planned releases without calling the API.
+ * onCreated(release) is called after each release is created.
+ */
+async function ensureSeedForGroup(groupId, periods, existingReleases, createdAccumulator, failedAccumulator, granularity, { dryRun = false, onCreated = null } = {}) {
   // Validate groupId
   if (!groupId) {
     log.warn("⏭️  Skipped: Release group has undefined ID (check environment variables)");
@@ -345,11 +1824,18 @@ async function ensureSeedForGroup(groupId, periods, existingReleases, createdAcc
       continue;
     }
 
+    if (dryRun) {
+      createdAccumulator.push({ name: p.name, description: p.description, timeframe: { startDate: isoString(p.start), endDate: isoString(p.end), granularity } });
+      log.info(`📝 Would create: ${p.name} (${p.start.toISOString()} – ${p.end.toISOString()})`);
+      continue;
+    }
+
     try {
-      const created = await createRelease({ name: p.name, groupId, start: p.start, end: p.end, granularity });
+      const created = await createRelease({ name: p.name, description: p.description, groupId, start: p.start, end: p.end, granularity });
       // Ensure name is set even if API doesn't return it
       if (!created.name) created.name = p.name;
       createdAccumulator.push(created);
+      onCreated?.(created);
       const tfStart = created.timeframe?.startDate || isoString(p.start);
       const tfEnd = created.timeframe?.endDate || isoString(p.end);
       log.info(`✅ Created: ${created.name} → [${tfStart} … ${tfEnd}]`);
@@ -361,115 +1847,401 @@ async function ensureSeedForGroup(groupId, periods, existingReleases, createdAcc
   }
 }
 
-/** Ensure exactly one assignment within a group based on feature.timeframe.end (day-only semantics) */
-async function upsertAssignmentForGroup(feature, groupLabel, cache) {
-  const groupId = RG_IDS[groupLabel];
+const releaseCreations = new Map(); // "<groupId>:<start>:<end>" -> in-flight creation
+
+/**
+ * Create the release for one period on demand (groups with autoCreate). Concurrent callers in this
+ * process share one creation; a claim in the dedup store (shared when DEDUP_STORE=file) keeps other
+ * instances from creating the same period at the same time, and the group is re-listed after claiming
+ * so a release created elsewhere in the meantime is reused. Resolves with { release, created }.
+ */
+async function createPeriodRelease(group, period) {
+  const key = `${group.id}:${toYMDUTC(period.start)}:${toYMDUTC(period.end)}`;
+  if (releaseCreations.has(key)) return releaseCreations.get(key);
+
+  const creation = (async () => {
+    const owner = randomUUID();
+    const holder = await dedupStore.acquire(`create:${key}`, { timestamp: Date.now(), owner }, DEDUP_WINDOW_MS);
+    if (holder) throw new Error(`release "${period.name}" is being created by another instance`);
+    try {
+      const { releases } = await getReleaseIndex(group.id, { refresh: true });
+      const existing = releases.find(r => releaseWithTimeframeExists([r], period.start, period.end));
+      if (existing) return { release: existing, created: false };
+
+      const created = await createRelease({
+        name: period.name,
+        description: period.description,
+        groupId: group.id,
+        start: period.start,
+        end: period.end,
+        granularity: group.granularity,
+      });
+      if (!created.name) created.name = period.name;
+      log.info(`✅ Auto-created: ${created.name} in ${group.key} → [${isoString(period.start)} … ${isoString(period.end)}]`);
+      invalidateReleaseIndex(group.id);
+      return { release: created, created: true };
+    } finally {
+      await dedupStore.release(`create:${key}`, owner);
+    }
+  })();
+
+  releaseCreations.set(key, creation);
+  try {
+    return await creation;
+  } finally {
+    releaseCreations.delete(key);
+  }
+}
+
+/**
+ * Link a feature to its target release(s) within a group, picked by the group's assignment strategy
+ * (day-only semantics), and unlink it from the group's other releases.
+ * Returns an outcome: { group, status, release?, releases?, linked?, unlinked? } where status is one of
+ * skipped | unassigned | unmatched | assigned | unchanged; `releases` is set for all-overlapping groups.
+ * With options.dryRun, links are computed but nothing is written; options.beforeWrite runs before the
+ * first write (see setFeatureAssignmentsV2). options.context ({ requestId, source, event }) is stored
+ * with the changes in the assignment ledger.
+ * Groups with autoCreate create the missing period's release when nothing matches (listed in `created`;
+ * in dry runs, `wouldCreate`).
+ */
+async function assignInGroup(feature, groupLabel, { dryRun = false, beforeWrite = null, context = {} } = {}) {
+  const group = getReleaseGroup(groupLabel);
+  const groupId = group?.id;
   if (!groupId) {
     log.warn(`🎯 ${groupLabel}: Missing release group ID (check environment variables); skipping`);
-    return;
+    return { group: groupLabel, status: "skipped" };
   }
 
-  const featureEnd = parseIsoDate(feature.timeframe?.endDate || feature.timeframe?.end);
+  const span = assignmentSpan(feature, group.assignBy);
 
   // If no timeframe, unassign from all releases in this group
-  if (!featureEnd) {
-    log.info(`🎯 ${groupLabel}: feature has no timeframe.end; unassigning from all releases in group`);
+  if (!span) {
+    log.info(`🎯 ${groupLabel}: feature has no timeframe.${group.assignBy === "start" ? "start" : "end"}; unassigning from all releases in group`);
 
+    const unlinked = [];
     try {
       // Fetch existing relationships for this feature
-      const existingRels = await fetch(`${PB_BASE}/entities/${feature.id}/relationships?type=link`, {
-        headers: COMMON_HEADERS
-      });
+      const existingRels = await pbFetch(`/entities/${feature.id}/relationships?type=link`);
 
       if (!existingRels.ok) {
         log.warn(`🎯 ${groupLabel}: Failed to fetch existing relationships (${existingRels.status}); skipping cleanup`);
-        return;
+        return { group: groupLabel, status: "skipped" };
       }
 
       const rels = (await existingRels.json()).data || [];
 
       // Fetch releases in this group to identify which relationships belong to this group
-      let releases = cache[groupId];
-      if (!releases) {
-        releases = await listReleasesForGroup(groupId);
-        cache[groupId] = releases;
-        dbg(`🎯 ${groupLabel}: Fetched ${releases.length} releases for cleanup`);
-      }
-
+      const { releases } = await getReleaseIndex(groupId);
       const groupReleaseIds = new Set(releases.map(r => r.id));
+      const groupRels = rels.filter(rel => groupReleaseIds.has(rel.target.id));
+      if (groupRels.length > 0 && !dryRun && beforeWrite) await beforeWrite();
 
       // Unassign only from releases in this group
-      let unassignedCount = 0;
-      for (const rel of rels) {
-        if (groupReleaseIds.has(rel.target.id)) {
-          try {
-            await fetch(`${PB_BASE}/entities/${feature.id}/relationships/link/${rel.target.id}`, {
-              method: "DELETE",
-              headers: COMMON_HEADERS
-            });
-            unassignedCount++;
-            dbg(`🧹 ${groupLabel}: Unassigned from release ${rel.target.id}`);
-          } catch (err) {
-            log.warn(`🧹 ${groupLabel}: Failed to unassign from ${rel.target.id}: ${err.message}`);
-          }
+      for (const rel of groupRels) {
+        if (dryRun) {
+          unlinked.push(rel.target.id);
+          continue;
+        }
+        try {
+          await unlinkFeature(feature.id, rel.target.id);
+          unlinked.push(rel.target.id); // only confirmed unlinks reach the ledger
+          dbg(`🧹 ${groupLabel}: Unassigned from release ${rel.target.id}`);
+        } catch (err) {
+          log.warn(`🧹 ${groupLabel}: Failed to unassign from ${rel.target.id}: ${err.message}`);
         }
       }
 
-      if (unassignedCount > 0) {
-        log.info(`🧹 ${groupLabel}: Unassigned from ${unassignedCount} release(s)`);
+      if (!dryRun) {
+        const byId = new Map(releases.map(r => [r.id, r]));
+        recordAssignmentChange({ feature, group: groupLabel, from: unlinked.map(id => byId.get(id) || { id }), context });
+      }
+      if (unlinked.length > 0) {
+        log.info(`🧹 ${groupLabel}: ${dryRun ? "Would unassign" : "Unassigned"} from ${unlinked.length} release(s)`);
       } else {
         dbg(`🎯 ${groupLabel}: No releases to unassign`);
       }
     } catch (err) {
+      if (err.code === "STALE_FEATURE") throw err;
       log.warn(`🎯 ${groupLabel}: Cleanup failed (${err.message}); skipping`);
+      return { group: groupLabel, status: "skipped", error: err.message };
     }
 
-    return;
+    return { group: groupLabel, status: unlinked.length > 0 ? "unassigned" : "unchanged", unlinked };
   }
 
   // Normal assignment flow when timeframe exists
-  let releases = cache[groupId];
-  if (!releases) {
-    try {
-      releases = await listReleasesForGroup(groupId);
-      cache[groupId] = releases;
-      dbg(`🎯 ${groupLabel}: Fetched ${releases.length} releases`);
-    } catch (err) {
-      log.warn(`🎯 ${groupLabel}: Failed to fetch releases (${err.message}); skipping assignment`);
-      return; // Skip this group gracefully
+  let index;
+  let targets;
+  try {
+    const requestedAt = Date.now();
+    index = await getReleaseIndex(groupId);
+    targets = pickTargetReleases(group, index, span);
+    // A cached index may predate a release created in Productboard since; reload once before giving up
+    if (targets.length === 0 && index.loadedAt < requestedAt) {
+      index = await getReleaseIndex(groupId, { refresh: true });
+      targets = pickTargetReleases(group, index, span);
     }
+  } catch (err) {
+    log.warn(`🎯 ${groupLabel}: Failed to fetch releases (${err.message}); skipping assignment`);
+    return { group: groupLabel, status: "skipped", error: err.message }; // Skip this group gracefully
   }
 
-  const target = releases.find(r =>
-    isWithinClosedDay(featureEnd, r.timeframe?.startDate || r.timeframe?.start, r.timeframe?.endDate || r.timeframe?.end)
-  );
+  // Opt-in: create the missing period(s) with the group's period builder, then match again
+  const created = [];
+  if (targets.length === 0 && group.autoCreate) {
+    const periods = periodsNeededFor(group, span);
+    if (periods.length > 0 && dryRun) {
+      log.info(`📝 ${groupLabel}: would create ${periods.map(p => p.name).join(", ")}`);
+      return {
+        group: groupLabel,
+        status: "unmatched",
+        wouldCreate: periods.map(p => ({ name: p.name, start: toYMDUTC(p.start), end: toYMDUTC(p.end) })),
+      };
+    }
+    if (periods.length > 0) {
+      try {
+        if (beforeWrite) await beforeWrite(); // don't create releases for an outdated timeframe
+        for (const period of periods) {
+          const result = await createPeriodRelease(group, period);
+          if (result.created) created.push({ id: result.release.id, name: result.release.name });
+        }
+        index = await getReleaseIndex(groupId);
+        targets = pickTargetReleases(group, index, span);
+      } catch (err) {
+        if (err.code === "STALE_FEATURE") throw err;
+        log.warn(`🎯 ${groupLabel}: Failed to create missing release (${err.message}); skipping assignment`);
+        return { group: groupLabel, status: "skipped", error: err.message };
+      }
+    }
+  }
+  const { releases } = index;
 
-  if (!target) {
-    log.warn(`🎯 ${groupLabel}: no matching release for end=${feature.timeframe?.endDate || feature.timeframe?.end} (searched ${releases.length} releases)`);
+  if (targets.length === 0) {
+    log.warn(`🎯 ${groupLabel}: no matching release for ${group.assignBy} of ${toYMDUTC(span.start)}…${toYMDUTC(span.end)} (searched ${releases.length} releases)`);
     if (DEBUG && releases.length > 0) {
       dbg(`🎯 ${groupLabel}: Available release timeframes:`);
       releases.slice(0, 5).forEach(r => {
         dbg(`  - ${r.name}: ${r.timeframe?.startDate || r.timeframe?.start} to ${r.timeframe?.endDate || r.timeframe?.end}`);
       });
     }
-    return;
+    return { group: groupLabel, status: "unmatched" };
   }
 
-  // setFeatureAssignment with assigned=true automatically removes old assignments in this group
-  // Pass cached releases to avoid refetching
-  await setFeatureAssignment(feature.id, target.id, true, groupId, releases);
-  log.info(`✅ Assigned to ${groupLabel} → ${target.name} (${target.id})`);
+  // Links to the group's other releases are removed; pass indexed releases to avoid refetching
+  const result = await setFeatureAssignments(feature.id, targets.map(t => t.id), releases, {
+    dryRun,
+    beforeWrite,
+    record: { feature, group: groupLabel, context }
+  });
+  const summary = group.assignBy === "all-overlapping"
+    ? { releases: targets.map(t => ({ id: t.id, name: t.name })) }
+    : { release: { id: targets[0].id, name: targets[0].name } };
+  const names = targets.map(t => `${t.name} (${t.id})`).join(", ");
+  if (result.unchanged) {
+    dbg(`🎯 ${groupLabel}: Already assigned to ${names}`);
+    return { group: groupLabel, status: "unchanged", ...summary };
+  }
+  log.info(`✅ ${dryRun ? "Would assign" : "Assigned"} to ${groupLabel} → ${names}`);
+  return {
+    group: groupLabel,
+    status: "assigned",
+    ...summary,
+    linked: result.linked,
+    unlinked: result.unlinked,
+    ...(created.length > 0 && { created }),
+  };
 }
 
-// --- API Functions ---
+/** Run assignInGroup, counting real (non dry-run) outcomes per group in the assignment metrics */
+async function upsertAssignmentForGroup(feature, groupLabel, options = {}) {
+  try {
+    const outcome = await assignInGroup(feature, groupLabel, options);
+    if (!options.dryRun) {
+      metrics.assignments.inc({ group: groupLabel, status: outcome.status });
+      if (["assigned", "unchanged", "unassigned"].includes(outcome.status)) metrics.lastAssignment.setToCurrentTime({ group: groupLabel });
+    }
+    return outcome;
+  } catch (err) {
+    // a stale feature is re-evaluated by the caller, not a failure
+    if (!options.dryRun && err.code !== "STALE_FEATURE") metrics.assignments.inc({ group: groupLabel, status: "failed" });
+    throw err;
+  }
+}
 
-/** Get feature by ID */
-async function getFeatureV2(id) {
-  const r = await fetch(`${PB_BASE}/entities/${id}`, { headers: COMMON_HEADERS });
-  if (!r.ok) throw new Error(`GET /entities/${id} -> ${r.status} ${await r.text()}`);
-  const data = (await r.json()).data;
-  // Flatten fields to top level for convenience
-  return {
+// --- Productboard API Client ---
+
+/**
+ * Every Productboard call goes through pbFetch, which adds:
+ * - a request timeout (PB_TIMEOUT_MS)
+ * - a token bucket shared by all callers (PB_RATE_LIMIT_RPS sustained, PB_RATE_LIMIT_BURST burst)
+ * - retries with jittered backoff: 429 is retried for every request (honoring Retry-After, which also
+ *   pauses the bucket for all callers); 5xx, network errors and timeouts only for idempotent requests,
+ *   since a POST that timed out may still have been applied
+ * - counters for requests, retries, throttles and failures (GET /admin/api-metrics)
+ * It resolves with the final Response; callers keep checking `r.ok` as before.
+ */
+const PB_TIMEOUT_MS = Number(process.env.PB_TIMEOUT_MS || 15000);
+const PB_RATE_LIMIT_RPS = Number(process.env.PB_RATE_LIMIT_RPS || 10);
+const PB_RATE_LIMIT_BURST = Number(process.env.PB_RATE_LIMIT_BURST || 20);
+const PB_MAX_RETRIES = Number(process.env.PB_MAX_RETRIES || 4);
+const PB_RETRY_BASE_MS = Number(process.env.PB_RETRY_BASE_MS || 500);
+const PB_RETRY_MAX_MS = Number(process.env.PB_RETRY_MAX_MS || 30000);
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]); // new Response() rejects a body for these
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createTokenBucket(ratePerSec, burst) {
+  let tokens = burst;
+  let last = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve(); // callers get tokens in arrival order
+
+  async function waitForToken() {
+    for (;;) {
+      const paused = pausedUntil - Date.now();
+      if (paused > 0) {
+        await sleep(paused);
+        continue;
+      }
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSec);
+      last = now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / ratePerSec) * 1000));
+    }
+  }
+
+  return {
+    take() {
+      if (!(ratePerSec > 0)) return Promise.resolve(); // rate limiting disabled
+      queue = queue.then(waitForToken);
+      return queue;
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+const rateLimiter = createTokenBucket(PB_RATE_LIMIT_RPS, Math.max(1, PB_RATE_LIMIT_BURST));
+
+/** Retry-After is either delay-seconds or an HTTP date */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/** Metrics label for an API path: entity and release IDs replaced, e.g. "/entities/:id/relationships" */
+function apiEndpointLabel(apiPath) {
+  return apiPath.split("?")[0].replace(/\/(entities|link|release-groups)\/(?!search$)[^/]+/g, "/$1/:id");
+}
+
+/**
+ * Call the Productboard API. `path` is relative to PB_BASE; `idempotent` overrides the
+ * method-based default (e.g. searches are POSTs that are safe to repeat).
+ * The body is read before returning, under the same PB_TIMEOUT_MS, so a response that stalls
+ * mid-body times out (and is retried) like one that never starts; callers get it buffered.
+ */
+async function pbFetch(path, { method = "GET", body, idempotent } = {}) {
+  const canRetry = idempotent ?? IDEMPOTENT_METHODS.has(method);
+  const label = `${method} ${path.split("?")[0]}`;
+  const endpoint = apiEndpointLabel(path);
+
+  for (let attempt = 1; ; attempt++) {
+    await rateLimiter.take();
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PB_TIMEOUT_MS);
+    const endTimer = metrics.apiDuration.startTimer({ method, endpoint });
+    let r;
+    try {
+      const res = await fetch(`${PB_BASE}${path}`, { method, headers: COMMON_HEADERS, body, signal: controller.signal });
+      const buffered = await res.arrayBuffer();
+      r = new Response(NULL_BODY_STATUSES.has(res.status) ? null : buffered, { status: res.status, statusText: res.statusText, headers: res.headers });
+      endTimer({ status: r.status });
+    } catch (err) {
+      const timedOut = err.name === "AbortError";
+      endTimer({ status: timedOut ? "timeout" : "network_error" });
+      const reason = timedOut ? `timed out after ${PB_TIMEOUT_MS} ms` : err.message;
+      if (canRetry && attempt <= PB_MAX_RETRIES) {
+        const delay = retryDelayMs(attempt, PB_RETRY_BASE_MS, PB_RETRY_MAX_MS);
+        metrics.apiRetries.inc({ method, endpoint });
+        log.warn(`⏳ ${label} ${reason}, retrying in ${delay} ms (retry ${attempt}/${PB_MAX_RETRIES})`);
+        await sleep(delay);
+        continue;
+      }
+      metrics.apiFailures.inc({ method, endpoint });
+      throw new Error(`${label} -> ${reason}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const throttled = r.status === 429;
+    if (!throttled && !(canRetry && r.status >= 500)) return r;
+
+    if (attempt > PB_MAX_RETRIES) {
+      metrics.apiFailures.inc({ method, endpoint });
+      return r;
+    }
+    const delay = parseRetryAfter(r.headers.get("retry-after")) ?? retryDelayMs(attempt, PB_RETRY_BASE_MS, PB_RETRY_MAX_MS);
+    if (throttled) rateLimiter.pause(delay);
+    metrics.apiRetries.inc({ method, endpoint });
+    log.warn(`⏳ ${label} -> ${r.status}, retrying in ${delay} ms (retry ${attempt}/${PB_MAX_RETRIES})`);
+    await sleep(delay);
+  }
+}
+
+// --- API Functions ---
+
+/** Error for a failed Productboard API call; `status` lets callers tell permanent from transient failures */
+function apiError(label, status, text) {
+  const err = new Error(`${label} -> ${status} ${text}`);
+  err.status = status;
+  return err;
+}
+
+/** Get a feature, subfeature, initiative or other timeframed entity by ID */
+async function getEntityV2(id) {
+  const r = await pbFetch(`/entities/${id}`);
+  if (!r.ok) throw apiError(`GET /entities/${id}`, r.status, await r.text());
+  return flattenEntity((await r.json()).data);
+}
+
+/** Get release by ID (null if it no longer exists) */
+async function getReleaseV2(id) {
+  const r = await pbFetch(`/entities/${id}`);
+  if (r.status === 404) return null;
+  if (!r.ok) throw apiError(`GET /entities/${id}`, r.status, await r.text());
+  const data = (await r.json()).data;
+  return { id: data.id, name: data.fields?.name, timeframe: data.fields?.timeframe, ...data };
+}
+
+/** ID of an entity's parent (a release's group), or null */
+async function getParentIdV2(id) {
+  const r = await pbFetch(`/entities/${id}/relationships?type=parent`);
+  if (r.status === 404) return null;
+  if (!r.ok) throw apiError(`GET /entities/${id}/relationships`, r.status, await r.text());
+  const rels = (await r.json()).data || [];
+  return rels.find(rel => rel.type === "parent")?.target?.id ?? null;
+}
+
+/** IDs of the entities (releases) a feature is linked to */
+async function getLinkedIdsV2(id) {
+  const r = await pbFetch(`/entities/${id}/relationships?type=link`);
+  if (!r.ok) throw apiError(`GET /entities/${id}/relationships`, r.status, await r.text());
+  return ((await r.json()).data || []).map(rel => rel.target.id);
+}
+
+/** Flatten entity fields to top level for convenience (all timeframed entity types share these fields) */
+function flattenEntity(data) {
+  return {
     id: data.id,
     type: data.type,
     name: data.fields?.name,
@@ -481,17 +2253,55 @@ async function getFeatureV2(id) {
   };
 }
 
+/** List all entities of the given types in the workspace (paged via entity search, one search per type) */
+async function listEntitiesV2(types) {
+  const out = [];
+  for (const type of types) {
+    let cursor = null;
+    do {
+      const url = cursor ? `/entities/search?cursor=${cursor}` : `/entities/search`;
+      const r = await pbFetch(url, {
+        method: "POST",
+        idempotent: true, // search only reads
+        body: JSON.stringify({
+          data: {
+            type
+          }
+        })
+      });
+      if (!r.ok) throw apiError(`POST /entities/search`, r.status, await r.text());
+
+      const j = await r.json();
+      out.push(...(j.data ?? []).map(flattenEntity));
+      cursor = j.pagination?.next;
+    } while (cursor);
+  }
+  return out;
+}
+
+/** Check that the API token authenticates with one single-page search; returns { ok, status, error } */
+async function verifyTokenV2() {
+  const r = await pbFetch(`/entities/search`, {
+    method: "POST",
+    idempotent: true, // search only reads
+    body: JSON.stringify({ data: { type: "releaseGroup" } })
+  });
+  if (r.ok) return { ok: true, status: r.status };
+  const text = (await r.text()).slice(0, 200);
+  const reason = r.status === 401 ? "token was rejected" : r.status === 403 ? "token lacks permission to read entities" : "token check failed";
+  return { ok: false, status: r.status, error: `${reason} (${r.status} ${text})` };
+}
+
 /** Create a PB release in a group */
-async function createReleaseV2({ name, groupId, start, end, granularity }) {
-  const r = await fetch(`${PB_BASE}/entities`, {
+async function createReleaseV2({ name, description, groupId, start, end, granularity }) {
+  const r = await pbFetch(`/entities`, {
     method: "POST",
-    headers: COMMON_HEADERS,
     body: JSON.stringify({
       data: {
         type: "release",
         fields: {
           name,
-          description: "",
+          description: description || "",
           timeframe: {
             startDate: isoString(start),
             endDate: isoString(end),
@@ -509,8 +2319,9 @@ async function createReleaseV2({ name, groupId, start, end, granularity }) {
       }
     })
   });
-  if (!r.ok) throw new Error(`POST /entities -> ${r.status} ${await r.text()}`);
+  if (!r.ok) throw apiError(`POST /entities`, r.status, await r.text());
   const created = (await r.json()).data;
+  await markOwnRelease(created.id, "created");
 
   // Flatten fields to top level for convenience
   return {
@@ -520,6 +2331,27 @@ async function createReleaseV2({ name, groupId, start, end, granularity }) {
   };
 }
 
+/** Update fields of a release (e.g. to archive it) */
+async function updateReleaseV2(id, fields) {
+  const r = await pbFetch(`/entities/${id}`, {
+    method: "PATCH",
+    idempotent: true, // setting the same fields again is harmless
+    body: JSON.stringify({ data: { fields } })
+  });
+  if (!r.ok) throw apiError(`PATCH /entities/${id}`, r.status, await r.text());
+}
+
+/** Delete a release (already deleted is fine) */
+async function deleteReleaseV2(id) {
+  const mark = await markOwnRelease(id, "deleted"); // before the call, so the webhook can't arrive first
+  const r = await pbFetch(`/entities/${id}`, { method: "DELETE" }).catch(err => ({ error: err }));
+  if (r.error || (!r.ok && r.status !== 404)) {
+    await unmarkOwnRelease(id, "deleted", mark); // not deleted, so a later manual delete isn't ignored
+    if (r.error) throw r.error;
+    throw apiError(`DELETE /entities/${id}`, r.status, await r.text());
+  }
+}
+
 /** List all releases in a group */
 async function listReleasesForGroupV2(groupId) {
   // Validate groupId
@@ -531,10 +2363,10 @@ async function listReleasesForGroupV2(groupId) {
   const out = [];
   let cursor = null;
   do {
-    const url = cursor ? `${PB_BASE}/entities/search?cursor=${cursor}` : `${PB_BASE}/entities/search`;
-    const r = await fetch(url, {
+    const url = cursor ? `/entities/search?cursor=${cursor}` : `/entities/search`;
+    const r = await pbFetch(url, {
       method: "POST",
-      headers: COMMON_HEADERS,
+      idempotent: true, // search only reads
       body: JSON.stringify({
         data: {
           type: "release",
@@ -554,7 +2386,7 @@ async function listReleasesForGroupV2(groupId) {
     }
 
     // Throw on other errors (400, 500, etc.)
-    if (!r.ok) throw new Error(`POST /entities/search -> ${r.status} ${await r.text()}`);
+    if (!r.ok) throw apiError(`POST /entities/search`, r.status, await r.text());
 
     const j = await r.json();
     const releases = (j.data ?? []).map(rel => ({
@@ -569,76 +2401,322 @@ async function listReleasesForGroupV2(groupId) {
   return out;
 }
 
-/** Assign or unassign a feature to a release */
-async function setFeatureAssignmentV2(featureId, releaseId, assigned, groupId, groupReleases = null) {
-  if (assigned) {
-    // First, remove any existing release links in this group
-    const existingRels = await fetch(`${PB_BASE}/entities/${featureId}/relationships?type=link`, {
-      headers: COMMON_HEADERS
-    });
-    if (existingRels.ok) {
-      const rels = (await existingRels.json()).data || [];
-      // Get all releases in this group to identify which relationships to remove
-      // Use provided groupReleases if available, otherwise fetch
-      if (!groupReleases) {
-        groupReleases = await listReleasesForGroupV2(groupId);
-      }
-      const groupReleaseIds = new Set(groupReleases.map(r => r.id));
-
-      for (const rel of rels) {
-        if (groupReleaseIds.has(rel.target.id) && rel.target.id !== releaseId) {
-          await fetch(`${PB_BASE}/entities/${featureId}/relationships/link/${rel.target.id}`, {
-            method: "DELETE",
-            headers: COMMON_HEADERS
-          });
-        }
+/** Link a feature to a release */
+async function linkFeatureV2(featureId, releaseId) {
+  const r = await pbFetch(`/entities/${featureId}/relationships`, {
+    method: "POST",
+    body: JSON.stringify({
+      data: {
+        type: "link",
+        target: { id: releaseId }
       }
-    }
+    })
+  });
+  if (!r.ok) throw apiError(`POST relationships`, r.status, await r.text());
+}
 
-    // Create new link
-    const r = await fetch(`${PB_BASE}/entities/${featureId}/relationships`, {
-      method: "POST",
-      headers: COMMON_HEADERS,
-      body: JSON.stringify({
-        data: {
-          type: "link",
-          target: { id: releaseId }
-        }
-      })
-    });
-    if (!r.ok) throw new Error(`POST relationships -> ${r.status} ${await r.text()}`);
-    return (await r.json()).data;
-  } else {
-    // Delete link
-    const r = await fetch(`${PB_BASE}/entities/${featureId}/relationships/link/${releaseId}`, {
-      method: "DELETE",
-      headers: COMMON_HEADERS
-    });
-    if (!r.ok && r.status !== 404) throw new Error(`DELETE relationship -> ${r.status} ${await r.text()}`);
-    return { deleted: true };
+/** Remove a feature's link to a release (already gone is fine) */
+async function unlinkFeatureV2(featureId, releaseId) {
+  const r = await pbFetch(`/entities/${featureId}/relationships/link/${releaseId}`, { method: "DELETE" });
+  if (!r.ok && r.status !== 404) throw apiError(`DELETE relationship`, r.status, await r.text());
+}
+
+/**
+ * Make a feature's links within a group match `targetIds`: links to the group's other releases are
+ * removed and missing target links are created; links outside the group are left alone. With dryRun,
+ * nothing is written and the returned summary describes what would have changed. beforeWrite (if
+ * given) runs once before the first write, e.g. to verify the feature hasn't changed meanwhile.
+ * record: { feature, group, context } to write the changes made to the assignment ledger.
+ * Returns { linked, unlinked, unchanged } with release IDs.
+ */
+async function setFeatureAssignmentsV2(featureId, targetIds, groupReleases, { dryRun = false, beforeWrite = null, record = null } = {}) {
+  const current = new Set(await getLinkedIdsV2(featureId));
+  const groupReleaseIds = new Set(groupReleases.map(r => r.id));
+  const unlinked = [...current].filter(id => groupReleaseIds.has(id) && !targetIds.includes(id));
+  const linked = targetIds.filter(id => !current.has(id));
+
+  const summary = { linked, unlinked, unchanged: linked.length === 0 && unlinked.length === 0 };
+  if (summary.unchanged || dryRun) return summary;
+
+  if (beforeWrite) await beforeWrite();
+  const done = { unlinked: [], linked: [] };
+  try {
+    for (const releaseId of unlinked) {
+      await unlinkFeatureV2(featureId, releaseId);
+      done.unlinked.push(releaseId);
+    }
+    for (const releaseId of linked) {
+      await linkFeatureV2(featureId, releaseId);
+      done.linked.push(releaseId);
+    }
+  } finally {
+    // Ledger: record what was actually changed, also when a later write failed
+    if (record) {
+      const byId = new Map(groupReleases.map(r => [r.id, r]));
+      const release = (id) => byId.get(id) || { id };
+      recordAssignmentChange({ ...record, from: done.unlinked.map(release), to: done.linked.map(release) });
+    }
   }
+  return summary;
 }
 
 // --- API Wrapper Functions ---
 
-async function getFeature(id) {
-  return getFeatureV2(id);
+async function getEntity(id) {
+  return getEntityV2(id);
+}
+
+async function getRelease(id) {
+  return getReleaseV2(id);
+}
+
+async function getParentId(id) {
+  return getParentIdV2(id);
+}
+
+async function getLinkedIds(id) {
+  return getLinkedIdsV2(id);
 }
 
 async function createRelease(params) {
   return createReleaseV2(params);
 }
 
+async function updateRelease(id, fields) {
+  return updateReleaseV2(id, fields);
+}
+
+async function deleteRelease(id) {
+  return deleteReleaseV2(id);
+}
+
 async function listReleasesForGroup(groupId) {
   return listReleasesForGroupV2(groupId);
 }
 
-async function setFeatureAssignment(featureId, releaseId, assigned, groupId, groupReleases = null) {
-  return setFeatureAssignmentV2(featureId, releaseId, assigned, groupId, groupReleases);
+async function verifyToken() {
+  return verifyTokenV2();
+}
+
+async function setFeatureAssignments(featureId, targetIds, groupReleases, options = {}) {
+  return setFeatureAssignmentsV2(featureId, targetIds, groupReleases, options);
+}
+
+async function linkFeature(featureId, releaseId) {
+  return linkFeatureV2(featureId, releaseId);
+}
+
+async function unlinkFeature(featureId, releaseId) {
+  return unlinkFeatureV2(featureId, releaseId);
+}
+
+/** All entities of the configured entity types */
+async function listEntities() {
+  return listEntitiesV2(Object.keys(ENTITY_TYPES));
+}
+
+// --- Release Index ---
+
+/**
+ * Process-wide index of each group's releases, shared by webhooks, backfills and the seeder.
+ * Entries are reloaded after RELEASE_CACHE_TTL_MS (0 disables caching) and dropped when the seeder
+ * creates releases or a release webhook arrives; concurrent loads of a group share one listing.
+ * Releases are kept sorted by start day with a running maximum of end days, so finding the releases
+ * that contain a date is a binary search plus a short backward scan rather than a pass over all of them.
+ */
+const RELEASE_CACHE_TTL_MS = Number(process.env.RELEASE_CACHE_TTL_MS ?? 300000);
+const releaseIndex = new Map(); // groupId -> { releases, byStart, loadedAt } | { loading }
+
+function buildReleaseLookup(releases) {
+  const entries = [];
+  for (const release of releases) {
+    const start = release.timeframe?.startDate || release.timeframe?.start;
+    const end = release.timeframe?.endDate || release.timeframe?.end;
+    if (!start || !end) continue;
+    entries.push({ start: toYMDUTC(start), end: toYMDUTC(end), release });
+  }
+  entries.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  let maxEnd = "";
+  for (const entry of entries) {
+    if (entry.end > maxEnd) maxEnd = entry.end;
+    entry.maxEnd = maxEnd; // latest end among this entry and all earlier-starting ones
+  }
+  return entries;
+}
+
+/** Releases of an index whose closed [start, end] day range contains `date`, in start order */
+function releasesContaining(index, date) {
+  const day = toYMDUTC(date);
+  const entries = index.byStart;
+  let lo = 0;
+  let hi = entries.length - 1;
+  let last = -1; // last entry starting on or before `day`
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (entries[mid].start <= day) {
+      last = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  const out = [];
+  for (let i = last; i >= 0 && entries[i].maxEnd >= day; i--) {
+    if (entries[i].end >= day) out.push(entries[i].release);
+  }
+  return out.reverse();
+}
+
+/** Releases of an index overlapping the closed day range [start, end], in start order */
+function releasesOverlapping(index, start, end) {
+  const from = toYMDUTC(start);
+  const to = toYMDUTC(end);
+  const entries = index.byStart;
+  let lo = 0;
+  let hi = entries.length - 1;
+  let last = -1; // last entry starting on or before `to`
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (entries[mid].start <= to) {
+      last = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  const out = [];
+  for (let i = last; i >= 0 && entries[i].maxEnd >= from; i--) {
+    if (entries[i].end >= from) out.push(entries[i].release);
+  }
+  return out.reverse();
+}
+
+/**
+ * The group's release for a date. If several releases contain it (e.g. after changing the week start
+ * day), prefer the one matching the group's own period for that date.
+ */
+function pickReleaseForDate(group, index, date) {
+  const candidates = releasesContaining(index, date);
+  const expected = candidates.length > 1 ? expectedPeriodFor(group, date) : null;
+  return (expected && candidates.find(r => releaseWithTimeframeExists([r], expected.start, expected.end))) || candidates[0] || null;
+}
+
+/**
+ * The day range of a feature's timeframe that a group's strategy looks at, or null if the timeframe
+ * lacks the date it needs (the feature is then unassigned in that group). `start` needs a start date;
+ * all other strategies need an end date and treat a missing start as a one-day timeframe.
+ */
+function assignmentSpan(feature, strategy) {
+  const start = parseIsoDate(feature.timeframe?.startDate || feature.timeframe?.start);
+  const end = parseIsoDate(feature.timeframe?.endDate || feature.timeframe?.end);
+  if (strategy === "start") return start ? { start, end: start } : null;
+  if (!end) return null;
+  if (strategy === "end") return { start: end, end };
+  return { start: start && start <= end ? start : end, end };
+}
+
+/** Number of days two closed day ranges share (0 if disjoint) */
+function overlapDays(aStart, aEnd, bStart, bEnd) {
+  const from = startOfDayUTC(aStart > bStart ? aStart : bStart);
+  const to = startOfDayUTC(aEnd < bEnd ? aEnd : bEnd);
+  return Math.max(0, Math.round((to - from) / (24 * 3600 * 1000)) + 1);
+}
+
+/** The single day that picks the release for end/start/midpoint strategies */
+function anchorDateOf(strategy, span) {
+  if (strategy !== "midpoint") return span.end; // end, start: the span is that single day
+  const length = overlapDays(span.start, span.end, span.start, span.end);
+  return addDays(startOfDayUTC(span.start), Math.floor((length - 1) / 2));
+}
+
+/**
+ * Releases a feature should be linked to in a group, per the group's assignment strategy:
+ * - end / start: the release containing the end / start date
+ * - midpoint: the release containing the middle day of the timeframe
+ * - largest-overlap: the release sharing the most days with the timeframe (earliest on ties)
+ * - all-overlapping: every release the timeframe overlaps
+ */
+function pickTargetReleases(group, index, span) {
+  switch (group.assignBy) {
+    case "largest-overlap": {
+      let best = null;
+      let bestDays = 0;
+      for (const r of releasesOverlapping(index, span.start, span.end)) {
+        const rStart = parseIsoDate(r.timeframe?.startDate || r.timeframe?.start);
+        const rEnd = parseIsoDate(r.timeframe?.endDate || r.timeframe?.end);
+        const overlap = overlapDays(rStart, rEnd, span.start, span.end);
+        if (overlap > bestDays) {
+          best = r;
+          bestDays = overlap;
+        }
+      }
+      return best ? [best] : [];
+    }
+    case "all-overlapping":
+      return releasesOverlapping(index, span.start, span.end);
+    default:
+      return [pickReleaseForDate(group, index, anchorDateOf(group.assignBy, span))].filter(Boolean);
+  }
+}
+
+/**
+ * Periods (as the seeder would build them) that would give a feature a release in a group, for
+ * creating them on demand: the period containing the anchor date, or the overlapping period(s).
+ */
+function periodsNeededFor(group, span) {
+  if (group.assignBy === "largest-overlap" || group.assignBy === "all-overlapping") {
+    const overlapping = buildPeriodsForGroup(group, startOfDayUTC(span.start), span.end)
+      .filter(p => overlapDays(p.start, p.end, span.start, span.end) > 0);
+    if (group.assignBy === "all-overlapping") return overlapping;
+    const best = overlapping.reduce((acc, p) =>
+      (!acc || overlapDays(p.start, p.end, span.start, span.end) > overlapDays(acc.start, acc.end, span.start, span.end) ? p : acc), null);
+    return best ? [best] : [];
+  }
+  const period = expectedPeriodFor(group, anchorDateOf(group.assignBy, span));
+  return period ? [period] : [];
+}
+
+/** Cached release index for a group; `refresh` forces a reload */
+async function getReleaseIndex(groupId, { refresh = false } = {}) {
+  const cached = releaseIndex.get(groupId);
+  if (cached && !refresh) {
+    if (cached.loading) return cached.loading;
+    if (Date.now() - cached.loadedAt < RELEASE_CACHE_TTL_MS) return cached;
+  }
+
+  const loading = listReleasesForGroup(groupId).then(
+    (releases) => {
+      const index = { releases, byStart: buildReleaseLookup(releases), loadedAt: Date.now() };
+      // Don't resurrect an entry that was invalidated while loading
+      if (releaseIndex.get(groupId)?.loading === loading) releaseIndex.set(groupId, index);
+      dbg(`🗂️  Indexed ${releases.length} releases for group ${groupId}`);
+      return index;
+    },
+    (err) => {
+      if (releaseIndex.get(groupId)?.loading === loading) releaseIndex.delete(groupId);
+      throw err;
+    }
+  );
+  releaseIndex.set(groupId, { loading });
+  return loading;
+}
+
+/** Drop one group's index, or all of them when no group is given */
+function invalidateReleaseIndex(groupId) {
+  if (groupId) releaseIndex.delete(groupId);
+  else releaseIndex.clear();
+}
+
+/** Group whose cached index contains the release, if known */
+function cachedGroupOfRelease(releaseId) {
+  for (const [groupId, index] of releaseIndex) {
+    if (index.releases?.some(r => r.id === releaseId)) return groupId;
+  }
+  return null;
 }
 
 // --- Webhook receiver ---
-app.post("/pb-webhook", requireAuth, async (req, res) => {
+app.post("/pb-webhook", requireWebhookAuth, async (req, res) => {
   const reqLog = logWithRequest(req);
   const t0 = Date.now();
   try {
@@ -661,21 +2739,30 @@ app.post("/pb-webhook", requireAuth, async (req, res) => {
     // 3) Sanity: is it a feature change event?
     if (!eventType) {
       reqLog.warn("No event type in payload, ignoring");
+      countWebhook("unknown", "ignored", "no_event_type");
       return res.status(204).send("no event type");
     }
-    if (!["feature.updated", "feature.created"].includes(eventType)) {
-      dbg("Ignoring non-feature event", { eventType, requestId: req.id });
+    // 3a) Release lifecycle: refresh the release index and re-evaluate features around the release
+    if (eventType.startsWith("release.")) {
+      return handleReleaseWebhook(req, res, { body, eventType, releaseId: featureId, reqLog, t0 });
+    }
+    // Created/updated events of the configured entity types (feature, subfeature, initiative, ...)
+    const [entityType, action] = eventType.split(".");
+    if (!ENTITY_TYPES[entityType] || !["created", "updated"].includes(action)) {
+      dbg("Ignoring event for unconfigured entity type", { eventType, requestId: req.id });
+      countWebhook("entity", "ignored", "unhandled_event");
       return res.status(204).send("ignored event");
     }
 
     // 3b) Prevent feedback loop: only process if timeframe was actually updated
     // When we assign features to releases, it triggers another webhook but without timeframe changes
     const updatedAttributes = body?.data?.updatedAttributes || [];
-    if (eventType === "feature.updated" && Array.isArray(updatedAttributes)) {
+    if (action === "updated" && Array.isArray(updatedAttributes)) {
       // Check if timeframe was actually updated (or if it's a create, always process)
       const isTimeframeUpdate = updatedAttributes.includes("timeframe");
       if (!isTimeframeUpdate) {
         dbg("Ignoring update without timeframe change", { updatedAttributes, requestId: req.id });
+        countWebhook("entity", "ignored", "no_timeframe_update");
         return res.status(204).send("no timeframe update");
       }
     }
@@ -683,34 +2770,211 @@ app.post("/pb-webhook", requireAuth, async (req, res) => {
     // 4) Need a feature id
     if (!featureId) {
       reqLog.warn("No feature id in webhook payload", { snippet: JSON.stringify(body).slice(0, 400) });
+      countWebhook("entity", "rejected", "no_entity_id");
       return res.status(400).send("bad payload (no feature id)");
     }
 
-    // 5) All validation passed - respond immediately and process async
+    // 5) Dry run: process synchronously and return the plan instead of writing
+    if (parseFlag(req.query.dryRun)) {
+      const plan = await processWebhookAsync(body, featureId, eventType, req.id, { dryRun: true });
+      countWebhook("entity", "dry_run", "dry_run");
+      reqLog.info(`📝 Dry run complete (${Date.now() - t0} ms)`);
+      return res.status(200).json({ status: "dry_run", ...plan });
+    }
+
+    // 6) All validation passed - enqueue durably, then respond; workers process it with retries
+    // Deduplication happens after fetching feature (so we have timeframe)
+    const job = await jobQueue.enqueue("webhook", { body, featureId, eventType, requestId: req.id });
     const dt = Date.now() - t0;
-    reqLog.info(`✅ Webhook accepted for processing (${dt} ms)`);
+    reqLog.info(`✅ Webhook accepted for processing (${dt} ms)`, { jobId: job.id });
+    countWebhook("entity", "accepted", "queued");
 
-    // Respond immediately
     res.status(200).send("accepted");
-
-    // Process asynchronously (don't await) - pass requestId for correlation
-    // Deduplication happens after fetching feature (so we have timeframe)
-    processWebhookAsync(body, featureId, eventType, req.id).catch(err => {
-      // Catch any unhandled errors from async processing
-      reqLog.err("Unhandled error in async webhook processing:", err?.message);
-    });
   } catch (err) {
     const dt = Date.now() - t0;
     reqLog.err("Handler error:", err?.message, `(${dt} ms)`);
+    countWebhook("unknown", "error", "internal_error");
     return res.status(500).send("internal");
   }
 });
 
+const RELEASE_EVENTS = ["release.created", "release.updated", "release.deleted"];
+const OWN_RELEASE_TTL_MS = 60 * 60 * 1000; // webhooks for our own creations arrive well within this
+
+/**
+ * Remember a release this service created (seeder, maintenance, auto-create, audit fixes) or deleted
+ * (rollbacks), so its release.created/release.deleted webhook doesn't trigger a re-evaluation; one
+ * seeding run would otherwise start a scan per release, and a deleted release that is no longer
+ * indexed is looked for in every group. Kept in the dedup store so every instance sees it.
+ * `action` is "created" or "deleted".
+ */
+async function markOwnRelease(releaseId, action) {
+  const owner = randomUUID();
+  try {
+    await dedupStore.acquire(`own-release:${action}:${releaseId}`, { timestamp: Date.now(), owner }, OWN_RELEASE_TTL_MS);
+  } catch (err) {
+    log.warn(`Could not remember ${action} release ${releaseId}: ${err.message}`);
+  }
+  return owner;
+}
+
+/** Drop a mark set by markOwnRelease (returned `owner`) when the change didn't happen after all */
+async function unmarkOwnRelease(releaseId, action, owner) {
+  await dedupStore.release(`own-release:${action}:${releaseId}`, owner).catch(err =>
+    log.warn(`Could not forget ${action} release ${releaseId}: ${err.message}`)
+  );
+}
+
+/** Whether the release was created/deleted by this service (consumes the mark) */
+async function isOwnRelease(releaseId, action) {
+  const key = `own-release:${action}:${releaseId}`;
+  // Claiming the key either finds our mark or leaves a claim we drop right away
+  const owner = randomUUID();
+  const holder = await dedupStore.acquire(key, { timestamp: Date.now(), owner }, 1);
+  await dedupStore.release(key, holder ? holder.owner : owner);
+  return holder !== null;
+}
+
+/**
+ * Release webhooks. The release's previous bounds are taken from the release index before it is
+ * dropped, so the job can tell which features the change may have moved.
+ */
+async function handleReleaseWebhook(req, res, { body, eventType, releaseId, reqLog, t0 }) {
+  if (!RELEASE_EVENTS.includes(eventType)) {
+    dbg("Ignoring release event", { eventType, requestId: req.id });
+    countWebhook("release", "ignored", "unhandled_event");
+    return res.status(204).send("ignored event");
+  }
+  if (!releaseId) {
+    reqLog.warn("No release id in webhook payload", { snippet: JSON.stringify(body).slice(0, 400) });
+    countWebhook("release", "rejected", "no_entity_id");
+    return res.status(400).send("bad payload (no release id)");
+  }
+
+  const action = eventType.split(".")[1];
+  if ((action === "created" || action === "deleted") && await isOwnRelease(releaseId, action)) {
+    dbg(`Ignoring ${eventType} for a release this service ${action}`, { releaseId, requestId: req.id });
+    countWebhook("release", "ignored", "own_release");
+    return res.status(204).send("own release");
+  }
+
+  const groupId = cachedGroupOfRelease(releaseId);
+  const cached = groupId ? releaseIndex.get(groupId).releases.find(r => r.id === releaseId) : null;
+  const previous = cached ? {
+    groupId,
+    start: cached.timeframe?.startDate || cached.timeframe?.start || null,
+    end: cached.timeframe?.endDate || cached.timeframe?.end || null,
+  } : null;
+  invalidateReleaseIndex(groupId);
+
+  // Renames and other edits can't move features
+  const updatedAttributes = body?.data?.updatedAttributes;
+  if (eventType === "release.updated" && Array.isArray(updatedAttributes) && !updatedAttributes.includes("timeframe")) {
+    dbg("Release updated without timeframe change; index refreshed only", { updatedAttributes, requestId: req.id });
+    countWebhook("release", "ignored", "no_timeframe_update");
+    return res.status(204).send("no timeframe update");
+  }
+
+  const payload = { releaseId, eventType, previous, requestId: req.id };
+  if (parseFlag(req.query.dryRun)) {
+    const plan = await processReleaseEvent(payload, { dryRun: true });
+    countWebhook("release", "dry_run", "dry_run");
+    reqLog.info(`📝 Dry run complete (${Date.now() - t0} ms)`);
+    return res.status(200).json({ status: "dry_run", ...plan });
+  }
+
+  const job = await jobQueue.enqueue("release", payload);
+  reqLog.info(`✅ Release event accepted for processing (${Date.now() - t0} ms)`, { jobId: job.id });
+  countWebhook("release", "accepted", "queued");
+  return res.status(200).send("accepted");
+}
+
+/**
+ * Re-evaluate features after a release was created, retimed or deleted (run by the job queue).
+ * Candidates are scheduled features whose timeframe overlaps the release's old or new bounds (all
+ * scheduled features if neither is known), plus the features linked to the release: its old bounds
+ * are only known while the release index was warm. A candidate is affected when the releases it should now be
+ * in differ from what it is linked to in that group; each affected feature gets its own
+ * "reassign" job, so a failure for one doesn't redo the others.
+ */
+async function processReleaseEvent({ releaseId, eventType, previous, requestId }, { dryRun = false } = {}) {
+  const reqLog = {
+    info: (msg, ...args) => logger.info({ ...formatLogArgs(args), requestId }, msg),
+    warn: (msg, ...args) => logger.warn({ ...formatLogArgs(args), requestId }, msg),
+  };
+
+  const release = eventType === "release.deleted" ? null : await getRelease(releaseId);
+  const groupId = previous?.groupId || (release ? await getParentId(releaseId) : null);
+  // A deleted release we never indexed could have been in any group
+  const groups = groupId
+    ? RELEASE_GROUPS.filter(g => g.id === groupId)
+    : (release ? [] : RELEASE_GROUPS.filter(g => g.id));
+  if (groups.length === 0) {
+    dbg(`Release ${releaseId} is not in a configured release group; nothing to re-evaluate`);
+    return { dryRun, releaseId, eventType, groups: {} };
+  }
+
+  const ranges = [
+    previous?.start && previous?.end ? { start: previous.start, end: previous.end } : null,
+    release ? { start: release.timeframe?.startDate || release.timeframe?.start, end: release.timeframe?.endDate || release.timeframe?.end } : null,
+  ].filter(r => r?.start && r?.end);
+  const linked = new Set(release ? await getLinkedIds(releaseId) : []);
+
+  const features = (await listEntities()).filter(f => {
+    const end = f.timeframe?.endDate || f.timeframe?.end;
+    const start = f.timeframe?.startDate || f.timeframe?.start || end;
+    if (!end) return false;
+    return ranges.length === 0 || linked.has(f.id) || ranges.some(r => toYMDUTC(start) <= toYMDUTC(r.end) && toYMDUTC(end) >= toYMDUTC(r.start));
+  });
+  reqLog.info(`🔁 ${eventType} ${release?.name ?? releaseId}: ${features.length} candidate feature(s) in ${groups.map(g => g.key).join(", ")}`);
+
+  const result = {};
+  const linkCache = new Map();
+  for (const group of groups) {
+    const index = await getReleaseIndex(group.id, { refresh: true });
+    const groupReleaseIds = new Set(index.releases.map(r => r.id));
+    if (previous?.groupId === group.id) groupReleaseIds.add(releaseId); // links to the release as it was
+    const affected = [];
+    const candidates = features.filter(f => ENTITY_TYPES[f.type]?.includes(group.key));
+
+    for (const feature of candidates) {
+      const span = assignmentSpan(feature, group.assignBy);
+      const targets = span ? pickTargetReleases(group, index, span) : [];
+      if (targets.length === 0) continue; // unmatched features keep their links either way
+      if (!linkCache.has(feature.id)) linkCache.set(feature.id, await getLinkedIds(feature.id));
+      const current = linkCache.get(feature.id).filter(id => groupReleaseIds.has(id) || id === releaseId);
+      if (current.length === targets.length && targets.every(t => current.includes(t.id))) continue;
+
+      const to = targets.map(t => ({ id: t.id, name: t.name }));
+      affected.push({ id: feature.id, name: feature.name, from: current, to: group.assignBy === "all-overlapping" ? to : to[0] });
+      if (!dryRun) await jobQueue.enqueue("reassign", { featureId: feature.id, group: group.key, requestId });
+    }
+
+    result[group.key] = { candidates: candidates.length, affected };
+    if (affected.length > 0) {
+      reqLog.info(`🔁 ${group.key}: ${dryRun ? "would re-assign" : "re-assigning"} ${affected.length} feature(s)`);
+    }
+  }
+
+  return { dryRun, releaseId, eventType, groups: result };
+}
+
+/** Re-run assignment for one feature in one group (queued by processReleaseEvent) */
+async function reassignFeature({ featureId, group, requestId }) {
+  const feature = await getEntity(featureId);
+  const { error, ...outcome } = await upsertAssignmentForGroup(feature, group, { context: { requestId, source: "release-event" } });
+  if (error) throw new Error(`${group}: ${error}`);
+  logger.info({ requestId, featureId }, `🔁 Re-evaluated ${feature.name ?? featureId} in ${group}: ${outcome.status}`);
+  return outcome;
+}
+
 /**
- * Process webhook payload asynchronously (called without await)
- * This allows the HTTP response to return immediately while processing continues
+ * Process webhook payload asynchronously (run by the job queue after the webhook was accepted).
+ * Errors are logged and rethrown so the queue can retry; groups that failed transiently (e.g. release
+ * listing errors) also fail the job after the remaining groups were processed.
+ * With dryRun, deduplication is bypassed, nothing is written and the per-group plan is returned.
  */
-async function processWebhookAsync(body, featureId, eventType, requestId) {
+async function processWebhookAsync(body, featureId, eventType, requestId, { dryRun = false } = {}) {
   const t0 = Date.now();
   // Create request-scoped logger for async processing
   const reqLog = {
@@ -720,191 +2984,702 @@ async function processWebhookAsync(body, featureId, eventType, requestId) {
   };
 
   let timeframeEnd = null;
+  let marked = false;
+  const dedupOwner = randomUUID();
 
   try {
-    // 1) Fetch latest feature (thin payloads)
-    const feature = await getFeature(featureId);
+    // 1) Fetch latest feature (thin payloads); its entity type decides which release groups apply
+    const feature = await getEntity(featureId);
     reqLog.link(`🔗 Feature: ${feature.links?.html ?? feature.links?.self ?? feature.id}`);
+    const entityType = feature.type || eventType.split(".")[0];
+    const applicableGroups = groupsForEntityType(entityType);
+    if (applicableGroups.length === 0) {
+      reqLog.info(`⏭️  Entity type "${entityType}" is not configured for release assignment, skipping`);
+      return { dryRun, featureId, entityType, groups: {} };
+    }
 
-    // 2) Extract timeframe for deduplication
-    const featureEndDate = feature.timeframe?.endDate || feature.timeframe?.end;
-    timeframeEnd = featureEndDate || null;
+    // 2) Extract timeframe for deduplication: the end date, plus the start date if a group assigns by it
+    const usesStart = applicableGroups.some(g => g.assignBy !== "end");
+    const endOf = (f) => f.timeframe?.endDate || f.timeframe?.end || null;
+    const timeframeOf = (f) => {
+      const start = f.timeframe?.startDate || f.timeframe?.start;
+      return usesStart && start ? `${start}..${endOf(f)}` : endOf(f);
+    };
+    timeframeEnd = timeframeOf(feature);
 
-    // 3) Check for duplicate webhook (now that we have timeframe)
-    const existingProcess = isProcessing(featureId, eventType, timeframeEnd);
-    if (existingProcess) {
-      const timeSince = Date.now() - existingProcess.timestamp;
-      reqLog.info(`🔄 Duplicate webhook detected (original: ${existingProcess.requestId}, ${timeSince}ms ago, timeframe: ${timeframeEnd}), skipping`);
-      return; // Early exit - don't process duplicate
+    // 3) Check for duplicate webhook (now that we have timeframe) and claim it atomically,
+    //    so concurrent requests and instances can't both process it
+    if (!dryRun) {
+      const existingProcess = await claimProcessing(featureId, eventType, timeframeEnd, requestId, dedupOwner);
+      if (existingProcess) {
+        metrics.dedupHits.inc();
+        const timeSince = Date.now() - existingProcess.timestamp;
+        reqLog.info(`🔄 Duplicate webhook detected (original: ${existingProcess.requestId}, ${timeSince}ms ago, timeframe: ${timeframeEnd}), skipping`);
+        return; // Early exit - don't process duplicate
+      }
+      marked = true;
     }
 
-    // 4) Mark as processing to prevent duplicates
-    markProcessing(featureId, eventType, timeframeEnd, requestId);
+    // 4) Assign within each group (day-only, closed interval). The feature is re-read right before
+    //    the first write of each group; if its timeframe changed meanwhile, start over with the latest version.
+    let current = feature;
+    const beforeWrite = async () => {
+      const latest = await getEntity(featureId);
+      if (timeframeOf(latest) !== timeframeOf(current)) throw staleFeatureError(latest);
+    };
+
+    let groups;
+    for (let pass = 1; ; pass++) {
+      try {
+        groups = {};
+        for (const { key } of applicableGroups) {
+          const { group, ...outcome } = await upsertAssignmentForGroup(current, key, {
+            dryRun,
+            beforeWrite,
+            context: { requestId, source: "webhook", event: eventType }
+          });
+          groups[key] = outcome;
+        }
+        break;
+      } catch (err) {
+        if (err.code !== "STALE_FEATURE" || pass >= MAX_STALE_PASSES) throw err;
+        reqLog.info(`♻️  Feature timeframe changed during processing (${timeframeOf(current)} → ${timeframeOf(err.latest)}), re-evaluating`);
+        current = err.latest;
+      }
+    }
 
-    // 5) Assign within each group (day-only, closed interval)
-    const cache = {};
-    await upsertAssignmentForGroup(feature, "weekly", cache);
-    await upsertAssignmentForGroup(feature, "monthly", cache);
-    await upsertAssignmentForGroup(feature, "quarterly", cache);
-    await upsertAssignmentForGroup(feature, "yearly", cache);
+    const failedGroups = Object.entries(groups).filter(([, o]) => o.error).map(([k]) => k);
+    if (failedGroups.length > 0 && !dryRun) {
+      throw new Error(`groups failed: ${failedGroups.map(k => `${k} (${groups[k].error})`).join(", ")}`);
+    }
 
     const dt = Date.now() - t0;
-    reqLog.info(`✅ Async processing complete in ${dt} ms`);
+    reqLog.info(`✅ ${dryRun ? "Dry run" : "Async processing"} complete in ${dt} ms`);
+    return { dryRun, featureId, entityType, endDate: endOf(current), groups };
   } catch (err) {
     const dt = Date.now() - t0;
     reqLog.err("Async processing error:", err?.message, `(${dt} ms)`);
-    // Note: We can't respond to webhook here since response was already sent
-    // Error is logged but processing continues for other webhooks
+    // The webhook response was already sent; the job queue retries or dead-letters the job
+    throw err;
   } finally {
     // Clean up deduplication marker after processing completes (or on error)
-    if (timeframeEnd !== null || timeframeEnd === null) {
-      unmarkProcessing(featureId, eventType, timeframeEnd);
+    if (marked) {
+      await unmarkProcessing(featureId, eventType, timeframeEnd, dedupOwner).catch(err =>
+        reqLog.err("Failed to release deduplication marker:", err?.message)
+      );
     }
   }
 }
 
-/**
- * Admin: seed weekly, monthly, quarterly, and yearly releases from "today".
- * - Weekly, monthly, quarterly: 1 year ahead
- * - Yearly: 5 years ahead
- * - Uses inclusive day bounds (closed intervals).
- * - Skips creation if a release with identical [start,end] already exists in the group.
- * - Quarterly anchor month can be overridden via env QUARTER_START_MONTH (1-12). Default Jan (1).
- * - Stores timeframe at 00:00:00Z for both start and end (day-only canonical form).
- */
-app.post("/admin/seed-releases", requireAuth, async (req, res) => {
-  const reqLog = logWithRequest(req);
-  try {
-    const now = new Date();
-    const rangeStart = startOfDayUTC(now);
-    const rangeEnd = endOfDayUTC(addDays(atUTC(now.getUTCFullYear() + 1, now.getUTCMonth(), now.getUTCDate()), 0));
-    const rangeEnd5Years = endOfDayUTC(addDays(atUTC(now.getUTCFullYear() + 5, now.getUTCMonth(), now.getUTCDate()), 0));
-
-    const anchorMonthEnv = process.env.QUARTER_START_MONTH || "1";
-
-    // Fetch once per group - use Promise.allSettled for resilience
-    const groupLabels = ['weekly', 'monthly', 'quarterly', 'yearly'];
-    const fetchResults = await Promise.allSettled([
-      listReleasesForGroup(RG_IDS.weekly),
-      listReleasesForGroup(RG_IDS.monthly),
-      listReleasesForGroup(RG_IDS.quarterly),
-      listReleasesForGroup(RG_IDS.yearly),
-    ]);
-
-    // Track results per group
-    const groupData = {
-      weekly: { releases: [], status: 'pending', error: null, created: 0 },
-      monthly: { releases: [], status: 'pending', error: null, created: 0 },
-      quarterly: { releases: [], status: 'pending', error: null, created: 0 },
-      yearly: { releases: [], status: 'pending', error: null, created: 0 }
-    };
+// Job handlers by type; payloads are what the webhook receiver enqueues.
+// Webhooks run in the feature's lane so rapid edits are serialized and coalesced.
+const jobHandlers = {
+  webhook: ({ body, featureId, eventType, requestId }) =>
+    runInFeatureLane(featureId, requestId, () => processWebhookAsync(body, featureId, eventType, requestId)),
+  release: (payload) => processReleaseEvent(payload),
+  reassign: (payload) =>
+    runInFeatureLane(payload.featureId, payload.requestId, () => reassignFeature(payload), { coalesce: false }),
+};
 
-    // Process fetch results
-    fetchResults.forEach((result, idx) => {
-      const label = groupLabels[idx];
-      if (result.status === 'fulfilled') {
-        groupData[label].releases = result.value;
-        groupData[label].status = 'fetched';
-      } else {
-        groupData[label].status = 'failed';
-        groupData[label].error = result.reason?.message || 'Unknown error';
-        reqLog.warn(`⏭️  Skipped ${label}: ${groupData[label].error}`);
-      }
-    });
+const JOB_QUEUE_TYPE = process.env.JOB_QUEUE || "file";
+const jobQueue = createJobQueue(
+  JOB_QUEUE_TYPE === "memory" ? createMemoryJobBackend() : createFileJobBackend(process.env.JOB_QUEUE_DIR || path.join(DATA_DIR, "jobs")),
+  jobHandlers
+);
 
-    // Check if any groups are available
-    const availableGroups = Object.values(groupData).filter(g => g.status === 'fetched').length;
-    if (availableGroups === 0) {
-      reqLog.err("❌ No release groups available for seeding");
-      return res.status(424).json({
-        status: "failed",
-        error: "No release groups available",
-        message: "All release groups failed to fetch. Check environment variables and API permissions.",
-        groups: Object.fromEntries(
-          Object.entries(groupData).map(([k, v]) => [k, { status: v.status, error: v.error }])
-        )
-      });
-    }
+/** Admin: job queue counts */
+app.get("/admin/jobs", requireAuth, async (req, res) => {
+  try {
+    res.status(200).json({ backend: JOB_QUEUE_TYPE, ...(await jobQueue.stats()) });
+  } catch (e) {
+    logWithRequest(req).err("Job stats failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
 
-    // Build periods
-    const weekly = buildWeeklyPeriods(rangeStart, rangeEnd);
-    const monthly = buildMonthlyPeriods(rangeStart, rangeEnd);
-    const quarterly = buildQuarterlyPeriods(rangeStart, rangeEnd, anchorMonthEnv);
-    const yearly = buildYearlyPeriods(rangeStart, rangeEnd5Years);
+/** Admin: list dead-letter jobs (permanently failed), oldest first */
+app.get("/admin/jobs/dead", requireAuth, async (req, res) => {
+  try {
+    const jobs = (await jobQueue.listDead()).sort((a, b) => a.createdAt - b.createdAt);
+    res.status(200).json({ count: jobs.length, jobs });
+  } catch (e) {
+    logWithRequest(req).err("Listing dead jobs failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
 
-    // Seed each group (only if fetched successfully)
-    const created = [];
-    const failed = [];
+/** Admin: replay every dead-letter job */
+app.post("/admin/jobs/dead/replay", requireAuth, async (req, res) => {
+  const reqLog = logWithRequest(req);
+  try {
+    const jobs = await jobQueue.listDead();
+    for (const job of jobs) await jobQueue.replayDead(job.id);
+    reqLog.info(`🔁 Replayed ${jobs.length} dead-letter job(s)`);
+    res.status(200).json({ status: "replayed", count: jobs.length, ids: jobs.map(j => j.id) });
+  } catch (e) {
+    reqLog.err("Replaying dead jobs failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
 
-    if (groupData.weekly.status === 'fetched') {
-      reqLog.info(`📅 Seeding weekly releases...`);
-      const beforeCount = created.length;
-      await ensureSeedForGroup(RG_IDS.weekly, [...weekly].reverse(), groupData.weekly.releases, created, failed, "day");
-      groupData.weekly.status = 'success';
-      groupData.weekly.created = created.length - beforeCount;
+/** Admin: replay one dead-letter job (attempts are reset) */
+app.post("/admin/jobs/dead/:id/replay", requireAuth, async (req, res) => {
+  const reqLog = logWithRequest(req);
+  try {
+    const job = await jobQueue.replayDead(req.params.id);
+    if (!job) return res.status(404).json({ status: "error", error: "job not found" });
+    reqLog.info(`🔁 Replayed dead-letter job ${job.id}`);
+    res.status(200).json({ status: "replayed", job });
+  } catch (e) {
+    reqLog.err("Replaying dead job failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
+
+/** Admin: discard a dead-letter job */
+app.delete("/admin/jobs/dead/:id", requireAuth, async (req, res) => {
+  try {
+    const removed = await jobQueue.removeDead(req.params.id);
+    if (!removed) return res.status(404).json({ status: "error", error: "job not found" });
+    res.status(204).end();
+  } catch (e) {
+    logWithRequest(req).err("Deleting dead job failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
+
+const HISTORY_DEFAULT_LIMIT = 100;
+const HISTORY_MAX_LIMIT = 1000;
+
+/**
+ * Parse assignment history query filters (featureId, group, releaseId, requestId, source, action,
+ * since, until, limit). Returns { filters } or { error } for a 400 response.
+ */
+function parseHistoryFilters(input) {
+  const filters = {};
+  for (const key of ["featureId", "group", "releaseId", "requestId", "source", "action"]) {
+    if (input[key] !== undefined && input[key] !== "") filters[key] = String(input[key]);
+  }
+  if (filters.action && !["assign", "reassign", "unassign"].includes(filters.action)) {
+    return { error: "action must be assign, reassign or unassign" };
+  }
+  for (const key of ["since", "until"]) {
+    if (input[key] === undefined || input[key] === "") continue;
+    if (!isIsoDateOrDateTime(input[key])) {
+      return { error: `${key} must be an ISO date (YYYY-MM-DD) or timestamp (e.g. 2026-03-01T12:00:00Z)` };
     }
+    // a bare date in "until" includes that whole day
+    const date = new Date(input[key]);
+    filters[key] = (key === "until" && YMD_PATTERN.test(input[key]) ? endOfDayUTC(date) : date).toISOString();
+  }
+  const limit = input.limit === undefined ? HISTORY_DEFAULT_LIMIT : Number(input.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+    return { error: `limit must be a whole number between 1 and ${HISTORY_MAX_LIMIT}` };
+  }
+  filters.limit = limit;
+  return { filters };
+}
 
-    if (groupData.monthly.status === 'fetched') {
-      reqLog.info(`📅 Seeding monthly releases...`);
-      const beforeCount = created.length;
-      await ensureSeedForGroup(RG_IDS.monthly, [...monthly].reverse(), groupData.monthly.releases, created, failed, "month");
-      groupData.monthly.status = 'success';
-      groupData.monthly.created = created.length - beforeCount;
+/** Returns true if a ledger entry passes the history filters */
+function matchesHistoryFilters(entry, filters) {
+  if (filters.featureId && entry.featureId !== filters.featureId) return false;
+  if (filters.group && entry.group !== filters.group) return false;
+  if (filters.requestId && entry.requestId !== filters.requestId) return false;
+  if (filters.source && entry.source !== filters.source) return false;
+  if (filters.action && entry.action !== filters.action) return false;
+  if (filters.releaseId && ![...entry.from, ...entry.to].some(r => r.id === filters.releaseId)) return false;
+  if (filters.since && entry.ts < filters.since) return false;
+  if (filters.until && entry.ts > filters.until) return false;
+  return true;
+}
+
+/** Shared handler for the history endpoints; `fixed` filters override the query */
+async function sendHistory(req, res, fixed = {}) {
+  if (!LEDGER_ENABLED) {
+    return res.status(404).json({ status: "error", error: "assignment ledger is disabled (ASSIGNMENT_LEDGER=off)" });
+  }
+  try {
+    const { filters, error } = parseHistoryFilters({ ...req.query, ...fixed });
+    if (error) {
+      return res.status(400).json({ status: "error", error });
     }
+    const { entries, total } = await readLedger(entry => matchesHistoryFilters(entry, filters), filters.limit);
+    res.status(200).json({ filters, count: entries.length, total, entries });
+  } catch (e) {
+    logWithRequest(req).err("Reading assignment history failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+}
 
-    if (groupData.quarterly.status === 'fetched') {
-      reqLog.info(`📅 Seeding quarterly releases...`);
-      const beforeCount = created.length;
-      await ensureSeedForGroup(RG_IDS.quarterly, [...quarterly].reverse(), groupData.quarterly.releases, created, failed, "quarter");
-      groupData.quarterly.status = 'success';
-      groupData.quarterly.created = created.length - beforeCount;
+/** Admin: assignment history of one feature, newest first (query: group, since, until, limit, ...) */
+app.get("/admin/features/:id/history", requireAuth, (req, res) => sendHistory(req, res, { featureId: req.params.id }));
+
+/** Admin: assignment history across features, newest first, filtered by the query (see parseHistoryFilters) */
+app.get("/admin/history", requireAuth, (req, res) => sendHistory(req, res));
+
+/**
+ * Reverse a recorded run: restore the feature links it changed (newest change first, each feature in
+ * its lane), then delete the releases it created. A change that was already undone since (link gone,
+ * or re-added) is skipped. Releases that still have features linked, other than links this rollback
+ * removes, are kept unless `force` is set. With dryRun, only reports what would be done.
+ */
+async function rollbackRun(run, { dryRun = false, force = false, requestId, log: reqLog = log } = {}) {
+  const links = [];
+  const removedLinks = new Set(); // "<featureId>:<releaseId>" links this rollback removes
+
+  const byFeature = new Map();
+  for (const change of run.links) byFeature.set(change.featureId, [...(byFeature.get(change.featureId) || []), change]);
+
+  for (const [featureId, changes] of byFeature) {
+    const revert = async () => {
+      const current = new Set(await getLinkedIds(featureId));
+      const ledger = new Map(); // group -> { from, to } for the assignment ledger
+      for (const change of [...changes].reverse()) {
+        const entry = { featureId, featureName: change.featureName, group: change.group, releaseId: change.releaseId, releaseName: change.releaseName, undo: change.action === "linked" ? "unlink" : "link" };
+        const linkedNow = current.has(change.releaseId);
+        if (change.action === "linked" ? !linkedNow : linkedNow) {
+          links.push({ ...entry, status: "skipped", reason: change.action === "linked" ? "no longer linked" : "linked again since" });
+          continue;
+        }
+        if (change.action === "linked") removedLinks.add(`${featureId}:${change.releaseId}`);
+        if (dryRun) {
+          links.push({ ...entry, status: "would_revert" });
+          continue;
+        }
+        try {
+          const release = { id: change.releaseId, name: change.releaseName };
+          const groupChanges = ledger.get(change.group) || { from: [], to: [] };
+          if (change.action === "linked") {
+            await unlinkFeature(featureId, change.releaseId);
+            current.delete(change.releaseId);
+            groupChanges.from.push(release);
+          } else {
+            await linkFeature(featureId, change.releaseId);
+            current.add(change.releaseId);
+            groupChanges.to.push(release);
+          }
+          ledger.set(change.group, groupChanges);
+          links.push({ ...entry, status: "reverted" });
+        } catch (err) {
+          removedLinks.delete(`${featureId}:${change.releaseId}`);
+          links.push({ ...entry, status: "failed", error: err.message });
+          reqLog.err(`❌ Rollback: failed to ${entry.undo} ${featureId} / ${change.releaseId}:`, err.message);
+        }
+      }
+      const feature = { id: featureId, name: changes[0].featureName };
+      for (const [group, { from, to }] of ledger) {
+        recordAssignmentChange({ feature, group, from, to, context: { requestId, source: "rollback" } });
+      }
+    };
+    try {
+      if (dryRun) await revert();
+      else await runInFeatureLane(featureId, requestId, revert, { coalesce: false });
+    } catch (err) {
+      links.push({ featureId, featureName: changes[0].featureName, status: "failed", error: err.message });
+      reqLog.err(`❌ Rollback: failed to restore links of ${featureId}:`, err.message);
     }
+  }
 
-    if (groupData.yearly.status === 'fetched') {
-      reqLog.info(`📅 Seeding yearly releases...`);
-      const beforeCount = created.length;
-      await ensureSeedForGroup(RG_IDS.yearly, [...yearly].reverse(), groupData.yearly.releases, created, failed, "year");
-      groupData.yearly.status = 'success';
-      groupData.yearly.created = created.length - beforeCount;
+  const releases = [];
+  for (const created of [...run.releases].reverse()) {
+    const entry = { id: created.id, name: created.name, group: created.group };
+    try {
+      const release = await getRelease(created.id);
+      if (!release) {
+        releases.push({ ...entry, status: "skipped", reason: "already deleted" });
+        continue;
+      }
+      const stillLinked = (await getLinkedIds(created.id)).filter(featureId => !removedLinks.has(`${featureId}:${created.id}`));
+      if (stillLinked.length > 0 && !force) {
+        releases.push({ ...entry, status: "skipped", reason: `${stillLinked.length} feature(s) linked; pass force to delete anyway`, linkedFeatures: stillLinked });
+        continue;
+      }
+      if (dryRun) {
+        releases.push({ ...entry, status: "would_delete" });
+        continue;
+      }
+      await deleteRelease(created.id);
+      invalidateReleaseIndex(created.groupId);
+      // Deleting the release drops its remaining (forced) links; record them so history stays accurate,
+      // and re-assign those features (the release.deleted webhook of our own delete is ignored)
+      for (const featureId of stillLinked) {
+        const feature = await getEntity(featureId).catch(() => ({ id: featureId })); // name and timeframe for the entry
+        recordAssignmentChange({ feature, group: created.group, from: [release], context: { requestId, source: "rollback" } });
+        await jobQueue.enqueue("reassign", { featureId, group: created.group, requestId });
+      }
+      releases.push({ ...entry, status: "deleted", ...(stillLinked.length > 0 && { unlinkedFeatures: stillLinked }) });
+      reqLog.info(`🗑️  Rollback: deleted release ${created.name} (${created.group})`);
+    } catch (err) {
+      releases.push({ ...entry, status: "failed", error: err.message });
+      reqLog.err(`❌ Rollback: failed to delete release ${created.name}:`, err.message);
     }
+  }
 
-    // Calculate summary
-    const successfulGroups = Object.values(groupData).filter(g => g.status === 'success').length;
-    const failedGroups = 4 - successfulGroups;
-    const totalCreated = created.length;
-    const totalFailed = failed.length;
+  const count = (list, status) => list.filter(e => e.status === status).length;
+  const failed = count(links, "failed") + count(releases, "failed");
+  const kept = releases.filter(r => r.linkedFeatures).length; // a forced retry can still delete these
+  return {
+    status: failed > 0 || kept > 0 ? "partial_success" : "success",
+    dryRun,
+    summary: {
+      linksReverted: count(links, dryRun ? "would_revert" : "reverted"),
+      releasesDeleted: count(releases, dryRun ? "would_delete" : "deleted"),
+      skipped: count(links, "skipped") + count(releases, "skipped"),
+      failed,
+    },
+    links,
+    releases,
+  };
+}
 
-    // Determine overall status
-    const overallStatus = successfulGroups === 4 ? 'success' :
-                         successfulGroups > 0 ? 'partial_success' : 'failed';
+/** Run as listed by GET /admin/runs: the run without its change lists */
+function runSummary({ releases, links, rollbacks, ...run }) {
+  return {
+    ...run,
+    releasesCreated: releases.length,
+    linksChanged: links.length,
+    rolledBackAt: rollbacks.filter(r => r.status === "success").at(-1)?.at || null,
+  };
+}
 
-    reqLog.info(`✅ Seeding complete: ${successfulGroups}/4 groups succeeded, ${totalCreated} releases created, ${totalFailed} failures`);
+/** Admin: recorded seeding runs and backfill batches, newest first (query: type, limit) */
+app.get("/admin/runs", requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const runs = (await listRuns()).filter(r => !req.query.type || r.type === req.query.type);
+    res.status(200).json({ count: Math.min(runs.length, limit), total: runs.length, runs: runs.slice(0, limit).map(runSummary) });
+  } catch (e) {
+    logWithRequest(req).err("Listing runs failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
 
-    // Return detailed response
-    res.status(200).json({
-      status: overallStatus,
-      rangeStart: isoString(rangeStart),
-      rangeEnd: isoString(rangeEnd),
-      summary: {
-        totalGroups: 4,
-        successfulGroups,
-        failedGroups,
-        createdCount: totalCreated,
-        failedCreations: totalFailed
-      },
+/** Admin: one recorded run with every release created and link changed */
+app.get("/admin/runs/:id", requireAuth, async (req, res) => {
+  try {
+    const run = await loadRun(req.params.id);
+    if (!run) return res.status(404).json({ status: "error", error: "run not found" });
+    res.status(200).json(run);
+  } catch (e) {
+    logWithRequest(req).err("Reading run failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
+
+/**
+ * Admin: roll back a recorded run (see rollbackRun).
+ * - Body/query: { dryRun, force }; dryRun previews, force also deletes releases that have features linked
+ * - 409 once the run was rolled back completely; a partial rollback (failures, or releases kept because
+ *   features are linked) can be retried
+ */
+app.post("/admin/runs/:id/rollback", requireAuth, async (req, res) => {
+  const reqLog = logWithRequest(req);
+  try {
+    const input = { ...req.query, ...(req.body || {}) };
+    const dryRun = parseFlag(input.dryRun);
+    const force = parseFlag(input.force);
+    const run = await loadRun(req.params.id);
+    if (!run) return res.status(404).json({ status: "error", error: "run not found" });
+    if (run.status === "running") {
+      return res.status(409).json({ status: "error", error: "run is still in progress" });
+    }
+    const done = run.rollbacks.find(r => r.status === "success");
+    if (done) {
+      return res.status(409).json({ status: "error", error: `run was already rolled back at ${done.at}`, rollback: done });
+    }
+
+    reqLog.info(`⏪ ${dryRun ? "Previewing rollback of" : "Rolling back"} ${run.type} run ${run.id} (${run.releases.length} release(s), ${run.links.length} link change(s))`);
+    const result = await rollbackRun(run, { dryRun, force, requestId: req.id, log: reqLog });
+
+    if (!dryRun) {
+      run.rollbacks.push({ at: new Date().toISOString(), requestId: req.id, status: result.status, force, summary: result.summary });
+      await saveRun(run);
+      reqLog.info(`⏪ Rollback of ${run.id}: ${result.summary.linksReverted} link change(s) reverted, ${result.summary.releasesDeleted} release(s) deleted, ${result.summary.skipped} skipped, ${result.summary.failed} failed`);
+    }
+    res.status(200).json({ runId: run.id, type: run.type, ...result });
+  } catch (e) {
+    reqLog.err("Rollback failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
+
+// Longest range a single seeding call may cover, as a guard against typos in "to" or "horizon"
+const MAX_SEED_YEARS = 10;
+
+const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Whether the value is a real YYYY-MM-DD calendar date; Date.parse rolls 2026-02-30 into March */
+function isCalendarDate(value) {
+  const v = String(value);
+  return YMD_PATTERN.test(v) && !Number.isNaN(Date.parse(v)) && toYMDUTC(new Date(v)) === v;
+}
+
+const ISO_TIME_PATTERN = /^T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,3})?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)$/;
+
+/** Whether the value is a calendar date (YYYY-MM-DD) or an ISO timestamp on one, with a UTC offset */
+function isIsoDateOrDateTime(value) {
+  const v = String(value);
+  return isCalendarDate(v.slice(0, 10)) && (v.length === 10 || ISO_TIME_PATTERN.test(v.slice(10)));
+}
+
+/** Validate a horizon object ({ years, months, weeks, days }); returns an error message or null */
+function horizonError(horizon, label) {
+  if (!horizon || typeof horizon !== "object" || Array.isArray(horizon) || Object.keys(horizon).length === 0) {
+    return `${label} must be an object with any of ${HORIZON_UNITS.join(", ")}`;
+  }
+  for (const [unit, value] of Object.entries(horizon)) {
+    if (!HORIZON_UNITS.includes(unit)) return `${label}: unknown unit "${unit}" (expected ${HORIZON_UNITS.join(", ")})`;
+    if (!Number.isInteger(value) || value < 0) return `${label}.${unit} must be a non-negative whole number`;
+  }
+  return null;
+}
+
+/**
+ * Parse and validate seeder request parameters (see POST /admin/seed-releases).
+ * Returns { options } for seedReleases, or { error } with a message for a 400 response.
+ */
+function parseSeedOptions(input) {
+  const options = { dryRun: parseFlag(input.dryRun) };
+
+  for (const key of ["from", "to"]) {
+    if (input[key] === undefined || input[key] === null || input[key] === "") continue;
+    if (!isCalendarDate(input[key])) {
+      return { error: `${key} must be a valid date (YYYY-MM-DD)` };
+    }
+    options[key] = input[key];
+  }
+  if (options.from && options.to && options.from > options.to) {
+    return { error: "from must be on or before to" };
+  }
+  // Without from, the range starts today, so an earlier to would seed nothing
+  if (options.to && !options.from && options.to < toYMDUTC(new Date())) {
+    return { error: "to must not be before today (when from is omitted)" };
+  }
+
+  let selected = RELEASE_GROUPS;
+  if (input.groups !== undefined) {
+    const keys = (Array.isArray(input.groups) ? input.groups : String(input.groups).split(",")).map(k => String(k).trim()).filter(Boolean);
+    const unknown = keys.filter(k => !getReleaseGroup(k));
+    if (keys.length === 0) return { error: "groups must list at least one release group" };
+    if (unknown.length > 0) {
+      return { error: `unknown release group(s) ${unknown.join(", ")} (configured: ${RELEASE_GROUPS.map(g => g.key).join(", ")})` };
+    }
+    selected = RELEASE_GROUPS.filter(g => keys.includes(g.key));
+    options.groups = selected.map(g => g.key);
+  }
+
+  // horizon: { years: 2 } for every selected group, or { quarterly: { years: 2 } } per group
+  if (input.horizon !== undefined) {
+    if (options.to) return { error: "to and horizon cannot be combined (to sets the end of the range for every group)" };
+    if (!input.horizon || typeof input.horizon !== "object" || Array.isArray(input.horizon)) {
+      return { error: "horizon must be an object, e.g. { \"years\": 2 } or { \"quarterly\": { \"years\": 2 } }" };
+    }
+    const perGroup = Object.keys(input.horizon).some(k => !HORIZON_UNITS.includes(k));
+    const entries = perGroup ? Object.entries(input.horizon) : selected.map(g => [g.key, input.horizon]);
+    options.horizons = {};
+    for (const [key, horizon] of entries) {
+      if (!selected.some(g => g.key === key)) {
+        return { error: `horizon: "${key}" is not a selected release group (${selected.map(g => g.key).join(", ")})` };
+      }
+      const error = horizonError(horizon, perGroup ? `horizon.${key}` : "horizon");
+      if (error) return { error };
+      options.horizons[key] = horizon;
+    }
+  }
+
+  // anchorMonth overrides the first month of Q1 / H1 for calendar quarter and half-year groups
+  if (input.anchorMonth !== undefined) {
+    const anchorMonth = Number(input.anchorMonth);
+    if (!Number.isInteger(anchorMonth) || anchorMonth < 1 || anchorMonth > 12) {
+      return { error: "anchorMonth must be a month number (1-12)" };
+    }
+    if (!selected.some(g => ["quarter", "half-year"].includes(g.period.type) && !g.period.fiscal)) {
+      return { error: "anchorMonth only applies to calendar quarter and half-year groups; none are selected" };
+    }
+    options.anchorMonth = anchorMonth;
+  }
+
+  const rangeStart = options.from ? startOfDayUTC(new Date(options.from)) : startOfDayUTC(new Date());
+  const limit = addHorizon(rangeStart, { years: MAX_SEED_YEARS });
+  for (const group of selected) {
+    if (seedRangeEnd(group, rangeStart, options) > limit) {
+      return { error: `the range for ${group.key} ends after ${toYMDUTC(limit)}; a single call covers at most ${MAX_SEED_YEARS} years` };
+    }
+  }
+
+  return { options };
+}
+
+/** End of a group's seeding range: "to" when given, otherwise the (per-call or configured) horizon */
+function seedRangeEnd(group, rangeStart, { to, horizons } = {}) {
+  if (to) return endOfDayUTC(new Date(to));
+  return addHorizon(rangeStart, horizons?.[group.key] || group.horizon);
+}
+
+/** The groups a seeding call covers (all by default), with the anchorMonth override applied */
+function selectSeedGroups({ groups, anchorMonth } = {}) {
+  return (groups ? RELEASE_GROUPS.filter(g => groups.includes(g.key)) : RELEASE_GROUPS)
+    .map(g => (anchorMonth && ["quarter", "half-year"].includes(g.period.type) && !g.period.fiscal
+      ? { ...g, period: { ...g.period, anchorMonth } }
+      : g));
+}
+
+/**
+ * Seed releases for the configured release groups (see POST /admin/seed-releases).
+ * By default every group from "today" up to its horizon; `from`, `to`, `groups`, `horizons` and
+ * `anchorMonth` (validated by parseSeedOptions) narrow or shift the run.
+ * Real runs that create releases are recorded for rollback; the result then carries `runId`.
+ * Returns the result summary; status "failed" means no group could be listed.
+ */
+async function seedReleases({ dryRun = false, from, to, groups, horizons, anchorMonth, requestId, trigger = "http", log: reqLog = log } = {}) {
+  const rangeStart = from ? startOfDayUTC(new Date(from)) : startOfDayUTC(new Date());
+  const selectedGroups = selectSeedGroups({ groups, anchorMonth });
+
+  // Fetch once per group (fresh, bypassing the release index) - use Promise.allSettled for resilience
+  const fetchResults = await Promise.allSettled(
+    selectedGroups.map(g => getReleaseIndex(g.id, { refresh: true }).then(index => index.releases))
+  );
+
+  // Track results per group
+  const groupData = Object.fromEntries(
+    selectedGroups.map(g => [g.key, { releases: [], status: 'pending', error: null, created: 0, rangeEnd: seedRangeEnd(g, rangeStart, { to, horizons }) }])
+  );
+
+  // Process fetch results
+  fetchResults.forEach((result, idx) => {
+    const label = selectedGroups[idx].key;
+    if (result.status === 'fulfilled') {
+      groupData[label].releases = result.value;
+      groupData[label].status = 'fetched';
+    } else {
+      groupData[label].status = 'failed';
+      groupData[label].error = result.reason?.message || 'Unknown error';
+      reqLog.warn(`⏭️  Skipped ${label}: ${groupData[label].error}`);
+    }
+  });
+
+  // Check if any groups are available
+  const availableGroups = Object.values(groupData).filter(g => g.status === 'fetched').length;
+  if (availableGroups === 0) {
+    reqLog.err("❌ No release groups available for seeding");
+    return {
+      status: "failed",
+      error: "No release groups available",
+      message: "All release groups failed to fetch. Check environment variables and API permissions.",
       groups: Object.fromEntries(
+        Object.entries(groupData).map(([k, v]) => [k, { status: v.status, error: v.error }])
+      )
+    };
+  }
+
+  // Seed each group (only if fetched successfully)
+  const created = [];
+  const failed = [];
+  // Releases are recorded as they are created, so they can be rolled back even if the run dies midway
+  const run = dryRun ? null : startRun("seed", { requestId, trigger, params: { from, to, groups, horizons, anchorMonth } });
+
+  try {
+    for (const group of selectedGroups) {
+      const data = groupData[group.key];
+      if (data.status !== 'fetched') continue;
+
+      reqLog.info(`📅 Seeding ${group.key} releases...`);
+      const periods = buildPeriodsForGroup(group, rangeStart, data.rangeEnd);
+      const beforeCount = created.length;
+      const failedBefore = failed.length;
+      await ensureSeedForGroup(group.id, [...periods].reverse(), data.releases, created, failed, group.granularity, {
+        dryRun,
+        onCreated: (release) => run?.addRelease(group, release),
+      });
+      data.status = 'success';
+      data.created = created.length - beforeCount;
+      if (!dryRun && data.created > 0) invalidateReleaseIndex(group.id);
+      data.planned = created.slice(beforeCount);
+      if (!dryRun) {
+        metrics.seededReleases.inc({ group: group.key, result: "created" }, data.created);
+        metrics.seededReleases.inc({ group: group.key, result: "failed" }, failed.length - failedBefore);
+      }
+    }
+  } catch (err) {
+    await run?.finish("failed");
+    throw err;
+  }
+
+  const runId = run ? await run.finish(failed.length > 0 ? "partial_success" : "success") : null;
+
+  // Calculate summary
+  const totalGroups = selectedGroups.length;
+  const successfulGroups = Object.values(groupData).filter(g => g.status === 'success').length;
+  const failedGroups = totalGroups - successfulGroups;
+  const totalCreated = created.length;
+  const totalFailed = failed.length;
+  const rangeEnd = new Date(Math.max(...Object.values(groupData).map(g => g.rangeEnd.getTime())));
+
+  // Determine overall status
+  const overallStatus = successfulGroups === totalGroups ? 'success' :
+                       successfulGroups > 0 ? 'partial_success' : 'failed';
+
+  reqLog.info(`✅ Seeding ${dryRun ? "plan " : ""}complete: ${successfulGroups}/${totalGroups} groups succeeded, ${totalCreated} releases ${dryRun ? "to create" : "created"}, ${totalFailed} failures`);
+
+  // Detailed result
+  return {
+    status: overallStatus,
+    dryRun,
+    ...(runId && { runId }),
+    rangeStart: isoString(rangeStart),
+    rangeEnd: isoString(rangeEnd),
+    summary: {
+      totalGroups,
+      successfulGroups,
+      failedGroups,
+      createdCount: totalCreated,
+      failedCreations: totalFailed
+    },
+    groups: Object.fromEntries(
+      Object.entries(groupData).map(([k, v]) => [
+        k,
+        {
+          status: v.status,
+          created: v.created || 0,
+          rangeEnd: isoString(v.rangeEnd),
+          error: v.error || null
+        }
+      ])
+    ),
+    createdNames: created.map(c => c.name),
+    // Dry run: full plan per group so the diff can be reviewed before seeding for real
+    ...(dryRun && {
+      plan: Object.fromEntries(
         Object.entries(groupData).map(([k, v]) => [
           k,
-          {
-            status: v.status,
-            created: v.created || 0,
-            error: v.error || null
-          }
+          (v.planned || []).map(p => ({ name: p.name, description: p.description, startDate: p.timeframe.startDate, endDate: p.timeframe.endDate }))
         ])
-      ),
-      createdNames: created.map(c => c.name),
-      ...(totalFailed > 0 && { failedCreations: failed })
-    });
+      )
+    }),
+    ...(totalFailed > 0 && { failedCreations: failed })
+  };
+}
+
+/**
+ * Admin: seed releases for every configured release group from "today".
+ * - Each group is seeded up to its horizon (defaults: 1 year, 5 years for yearly groups).
+ * - Body (all optional): { dryRun, from, to, groups, horizon, anchorMonth } to seed another range
+ *   (e.g. historical periods), only some groups, or with a different quarter anchor; see parseSeedOptions.
+ * - Uses inclusive day bounds (closed intervals).
+ * - Skips creation if a release with identical [start,end] already exists in the group.
+ * - Quarterly anchor month can be overridden via env QUARTER_START_MONTH (1-12) or the group's period.anchorMonth.
+ * - Stores timeframe at 00:00:00Z for both start and end (day-only canonical form).
+ * - dryRun=true (body or query) returns the releases that would be created without calling the API.
+ */
+app.post("/admin/seed-releases", requireAuth, async (req, res) => {
+  const reqLog = logWithRequest(req);
+  try {
+    const { options, error } = parseSeedOptions({ ...req.query, ...(req.body || {}) });
+    if (error) {
+      return res.status(400).json({ status: "error", error });
+    }
+    const result = await seedReleases({ ...options, requestId: req.id, log: reqLog });
+    res.status(result.status === "failed" ? 424 : 200).json(result);
   } catch (e) {
     reqLog.err("Seeder failed:", e?.message);
     res.status(500).json({
@@ -914,6 +3689,972 @@ app.post("/admin/seed-releases", requireAuth, async (req, res) => {
   }
 });
 
+// --- Scheduled Maintenance ---
+// Keeps every group's rolling horizon topped up and archives releases that have fallen far enough behind.
+// Runs in-process on SCHEDULE_CRON, or on demand via POST /admin/maintenance (e.g. from Cloud Scheduler).
+const SCHEDULE_CRON = process.env.SCHEDULE_CRON || "";
+const MAINTENANCE_LOCK_MS = parseInt(process.env.MAINTENANCE_LOCK_MS || "1800000", 10); // 30 min
+
+/**
+ * First day a group's releases must still reach to stay unarchived: the start of the period
+ * `afterPeriods` periods before the current one (0 keeps only the current period).
+ * Returns null when the group has no period covering a day on the way back (e.g. gaps in a custom list).
+ */
+function archiveCutoff(group, now, afterPeriods) {
+  let period = expectedPeriodFor(group, now);
+  for (let i = 0; period && i < afterPeriods; i++) {
+    period = expectedPeriodFor(group, addDays(period.start, -1));
+  }
+  return period ? period.start : null;
+}
+
+/**
+ * Archive a group's releases that ended before its archive cutoff and aren't archived yet.
+ * With dryRun, returns the releases that would be archived without calling the API.
+ */
+async function archivePastReleases(group, { dryRun = false, now = new Date(), log: reqLog = log } = {}) {
+  const { afterPeriods, mode } = group.archive;
+  const cutoff = archiveCutoff(group, now, afterPeriods);
+  if (!cutoff) {
+    reqLog.warn(`⏭️  ${group.key}: no period ${afterPeriods} period(s) back from today, skipping archival`);
+    return { status: "skipped", mode, cutoff: null, archived: [] };
+  }
+  const cutoffDay = toYMDUTC(cutoff);
+  const index = await getReleaseIndex(group.id, { refresh: true });
+  const due = index.byStart.filter(e => e.end < cutoffDay && !ARCHIVE_MODES[mode].isDone(e.release));
+
+  const archived = [];
+  const failed = [];
+  for (const { release, start, end } of due) {
+    const entry = { id: release.id, name: release.name, startDate: start, endDate: end };
+    if (dryRun) {
+      archived.push(entry);
+      continue;
+    }
+    try {
+      await updateRelease(release.id, ARCHIVE_MODES[mode].fields);
+      archived.push(entry);
+      reqLog.info(`🗄️  ${group.key}: ${mode === "completed" ? "completed" : "archived"} ${release.name} (${start}..${end})`);
+    } catch (err) {
+      failed.push({ ...entry, error: err.message });
+      reqLog.err(`❌ ${group.key}: failed to archive ${release.name}:`, err.message);
+    }
+  }
+  if (!dryRun && archived.length > 0) invalidateReleaseIndex(group.id);
+
+  return {
+    status: failed.length === 0 ? "success" : archived.length > 0 ? "partial_success" : "failed",
+    mode,
+    cutoff: cutoffDay,
+    archived,
+    ...(failed.length > 0 && { failed })
+  };
+}
+
+/**
+ * Seed every group up to its horizon, then archive past releases in groups with an archive policy.
+ * Only one run at a time across instances (claimed in the dedup store); a concurrent run is skipped.
+ */
+async function runMaintenance({ dryRun = false, trigger = "schedule", log: reqLog = log } = {}) {
+  const owner = randomUUID();
+  const holder = await dedupStore.acquire("maintenance", { timestamp: Date.now(), trigger, owner }, MAINTENANCE_LOCK_MS);
+  if (holder) {
+    reqLog.info(`⏭️  Maintenance already running (${holder.trigger}, since ${new Date(holder.timestamp).toISOString()})`);
+    return { status: "skipped", reason: "already_running", runningSince: new Date(holder.timestamp).toISOString() };
+  }
+  try {
+    const seeding = await seedReleases({ dryRun, trigger, log: reqLog });
+
+    const archival = {};
+    for (const group of RELEASE_GROUPS) {
+      if (!group.archive || !group.id) continue;
+      try {
+        archival[group.key] = await archivePastReleases(group, { dryRun, log: reqLog });
+      } catch (err) {
+        reqLog.err(`❌ ${group.key}: archival failed:`, err.message);
+        archival[group.key] = { status: "failed", error: err.message };
+      }
+    }
+
+    const archivedCount = Object.values(archival).reduce((n, a) => n + (a.archived?.length || 0), 0);
+    const archivalOk = Object.values(archival).every(a => a.status === "success" || a.status === "skipped");
+    reqLog.info(`🧹 Maintenance ${dryRun ? "plan " : ""}complete: ${seeding.summary?.createdCount || 0} release(s) ${dryRun ? "to create" : "created"}, ${archivedCount} ${dryRun ? "to archive" : "archived"}`);
+
+    return {
+      status: seeding.status === "success" && archivalOk ? "success" : seeding.status === "failed" ? "failed" : "partial_success",
+      dryRun,
+      trigger,
+      seeding,
+      archival
+    };
+  } finally {
+    await dedupStore.release("maintenance", owner);
+  }
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week, evaluated in UTC)
+ * into a predicate over dates. Supports "*", lists, ranges and steps; day-of-week 0 and 7 are Sunday.
+ */
+function parseCron(expr) {
+  const fields = expr.trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`expected 5 fields, got ${fields.length}`);
+  const bounds = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+  const sets = fields.map((field, i) => {
+    const [min, max] = bounds[i];
+    const values = new Set();
+    for (const part of field.split(",")) {
+      const m = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) throw new Error(`invalid field "${field}"`);
+      const step = m[4] ? Number(m[4]) : 1;
+      const lo = m[1] ? min : Number(m[2]);
+      const hi = m[1] ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : lo;
+      if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`"${part}" is out of range ${min}-${max}`);
+      for (let v = lo; v <= hi; v += step) values.add(i === 4 && v === 7 ? 0 : v);
+    }
+    return values;
+  });
+  const [minutes, hours, days, months, weekdays] = sets;
+  // As in standard cron, when both day fields are restricted a date matching either one fires
+  const eitherDay = fields[2] !== "*" && fields[4] !== "*";
+  return (d) => {
+    const dayOfMonth = days.has(d.getUTCDate());
+    const dayOfWeek = weekdays.has(d.getUTCDay());
+    return minutes.has(d.getUTCMinutes()) && hours.has(d.getUTCHours()) && months.has(d.getUTCMonth() + 1) &&
+      (eitherDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek);
+  };
+}
+
+let scheduleMatches = null;
+if (SCHEDULE_CRON) {
+  try {
+    scheduleMatches = parseCron(SCHEDULE_CRON);
+  } catch (e) {
+    log.err(`❌ Invalid SCHEDULE_CRON "${SCHEDULE_CRON}": ${e.message}`);
+    process.exit(1);
+  }
+}
+
+/** Start the in-process scheduler (no-op without SCHEDULE_CRON); checks the schedule at each minute boundary */
+function startScheduler() {
+  if (!scheduleMatches) return;
+  log.info(`⏰ Maintenance scheduled: "${SCHEDULE_CRON}" (UTC)`);
+  const tick = () => {
+    setTimeout(() => {
+      if (scheduleMatches(new Date())) {
+        runMaintenance({ trigger: "schedule" }).catch(err => log.err("❌ Scheduled maintenance failed:", err.message));
+      }
+      tick();
+    }, 60_000 - (Date.now() % 60_000) + 100);
+  };
+  tick();
+}
+
+/**
+ * Admin: run maintenance now - seed every group's rolling horizon and archive past releases.
+ * Meant for external schedulers such as Cloud Scheduler (send the Authorization header).
+ * dryRun=true (body or query) returns the plan without creating or archiving anything.
+ * Responds 409 when another run is in progress.
+ */
+app.post("/admin/maintenance", requireAuth, async (req, res) => {
+  const reqLog = logWithRequest(req);
+  try {
+    const dryRun = parseFlag(req.body?.dryRun ?? req.query.dryRun);
+    const result = await runMaintenance({ dryRun, trigger: "http", log: reqLog });
+    const httpStatus = result.status === "skipped" ? 409 : result.status === "failed" ? 424 : 200;
+    res.status(httpStatus).json(result);
+  } catch (e) {
+    reqLog.err("Maintenance failed:", e?.message);
+    res.status(500).json({
+      status: "error",
+      error: e?.message || "Internal server error"
+    });
+  }
+});
+
+// --- Release Audit ---
+
+/**
+ * Compare a group's releases with the periods its builder expects over [rangeStart, rangeEnd].
+ * Only releases overlapping the range are considered. Reports:
+ * - missing: expected periods without a release with the exact same bounds
+ * - nameMismatches: expected periods whose exact-bounds release(s) all carry another name
+ * - overlaps: pairs of releases whose day ranges overlap (sameBounds when identical)
+ * - duplicates: names used by more than one release
+ * - misaligned: releases whose bounds match no expected period
+ */
+function auditGroupReleases(periods, index, rangeStart, rangeEnd) {
+  const inRange = new Set(releasesOverlapping(index, rangeStart, rangeEnd));
+  const entries = index.byStart.filter(e => inRange.has(e.release));
+  const describe = (e) => ({ id: e.release.id, name: e.release.name, startDate: e.start, endDate: e.end });
+
+  const missing = [];
+  const nameMismatches = [];
+  const expectedBounds = new Set();
+  for (const p of periods) {
+    const start = toYMDUTC(p.start);
+    const end = toYMDUTC(p.end);
+    expectedBounds.add(`${start}:${end}`);
+    const matches = entries.filter(e => e.start === start && e.end === end);
+    if (matches.length === 0) {
+      missing.push({ period: p, name: p.name, startDate: start, endDate: end });
+    } else if (!matches.some(e => e.release.name === p.name)) {
+      nameMismatches.push({ expectedName: p.name, startDate: start, endDate: end, releases: matches.map(describe) });
+    }
+  }
+
+  // entries are sorted by start, so only later entries starting on or before this one's end can overlap it
+  const overlaps = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length && entries[j].start <= entries[i].end; j++) {
+      overlaps.push({
+        releases: [describe(entries[i]), describe(entries[j])],
+        sameBounds: entries[i].start === entries[j].start && entries[i].end === entries[j].end,
+      });
+    }
+  }
+
+  const byName = new Map();
+  for (const e of entries) {
+    const name = (e.release.name || "").trim().toLowerCase();
+    byName.set(name, [...(byName.get(name) || []), e]);
+  }
+  const duplicates = [...byName.values()]
+    .filter(list => list.length > 1)
+    .map(list => ({ name: list[0].release.name, releases: list.map(describe) }));
+
+  const misaligned = entries.filter(e => !expectedBounds.has(`${e.start}:${e.end}`)).map(describe);
+
+  return { missing, nameMismatches, overlaps, duplicates, misaligned };
+}
+
+/**
+ * Apply the safe fixes for an audited group: rename the single release carrying an expected period's
+ * bounds, and create missing periods that no existing release overlaps. Overlaps, duplicates and
+ * misaligned releases are left for a human, since resolving them means moving or deleting releases
+ * that may have features linked. With dryRun, only lists what would be done.
+ */
+async function fixGroupReleases(group, audit, index, { dryRun = false, log: reqLog = log } = {}) {
+  const fixes = { renamed: [], created: [], skipped: [], failed: [] };
+
+  for (const mismatch of audit.nameMismatches) {
+    const { expectedName, startDate, endDate, releases } = mismatch;
+    if (releases.length > 1) {
+      fixes.skipped.push({ name: expectedName, startDate, endDate, reason: `${releases.length} releases share these bounds; resolve the duplicate first` });
+      continue;
+    }
+    const [release] = releases;
+    const entry = { id: release.id, from: release.name, to: expectedName, startDate, endDate };
+    if (dryRun) {
+      fixes.renamed.push(entry);
+      continue;
+    }
+    try {
+      await updateRelease(release.id, { name: expectedName });
+      fixes.renamed.push(entry);
+      reqLog.info(`✏️  ${group.key}: renamed "${release.name}" → "${expectedName}"`);
+    } catch (err) {
+      fixes.failed.push({ ...entry, error: err.message });
+      reqLog.err(`❌ ${group.key}: failed to rename "${release.name}":`, err.message);
+    }
+  }
+
+  for (const { period, name, startDate, endDate } of audit.missing) {
+    const blocking = releasesOverlapping(index, period.start, period.end);
+    if (blocking.length > 0) {
+      fixes.skipped.push({ name, startDate, endDate, reason: `overlaps ${blocking.map(r => `"${r.name}"`).join(", ")}; adjust or remove it first` });
+      continue;
+    }
+    if (dryRun) {
+      fixes.created.push({ name, startDate, endDate });
+      continue;
+    }
+    try {
+      const { release } = await createPeriodRelease(group, period);
+      fixes.created.push({ id: release.id, name, startDate, endDate });
+    } catch (err) {
+      fixes.failed.push({ name, startDate, endDate, error: err.message });
+      reqLog.err(`❌ ${group.key}: failed to create "${name}":`, err.message);
+    }
+  }
+
+  if (!dryRun && fixes.renamed.length > 0) invalidateReleaseIndex(group.id);
+  return fixes;
+}
+
+/**
+ * Admin: audit each release group against the periods its builder expects, reporting missing
+ * periods, overlapping releases, duplicate names, name mismatches and misaligned releases.
+ * - Body (all optional): the seeder's range parameters { from, to, groups, horizon, anchorMonth }
+ *   (default: today up to each group's horizon), plus { fix, dryRun }
+ * - fix=true renames mismatched releases and creates missing periods that nothing overlaps;
+ *   with dryRun=true it lists those fixes without applying them
+ */
+app.post("/admin/audit-releases", requireAuth, async (req, res) => {
+  const reqLog = logWithRequest(req);
+  try {
+    const input = { ...req.query, ...(req.body || {}) };
+    const fix = parseFlag(input.fix);
+    const { options, error } = parseSeedOptions(input);
+    if (error) {
+      return res.status(400).json({ status: "error", error });
+    }
+    const { dryRun, from, to, groups, horizons, anchorMonth } = options;
+    const rangeStart = from ? startOfDayUTC(new Date(from)) : startOfDayUTC(new Date());
+    const selectedGroups = selectSeedGroups({ groups, anchorMonth });
+
+    reqLog.info(`🔍 Auditing ${selectedGroups.length} release group(s)${fix ? ` with fixes${dryRun ? " (dry run)" : ""}` : ""}`);
+
+    const results = {};
+    const totals = { missing: 0, nameMismatches: 0, overlaps: 0, duplicates: 0, misaligned: 0, renamed: 0, created: 0 };
+    for (const group of selectedGroups) {
+      // Without an ID every period would look missing, and fixes would create releases outside any group
+      if (!group.id) {
+        reqLog.warn(`⏭️  Skipped ${group.key}: no release group ID configured`);
+        results[group.key] = { status: "skipped", error: "no release group ID configured" };
+        continue;
+      }
+      const rangeEnd = seedRangeEnd(group, rangeStart, { to, horizons });
+      let index;
+      try {
+        index = await getReleaseIndex(group.id, { refresh: true });
+      } catch (err) {
+        reqLog.warn(`⏭️  Skipped ${group.key}: ${err.message}`);
+        results[group.key] = { status: "failed", error: err.message };
+        continue;
+      }
+
+      const periods = buildPeriodsForGroup(group, rangeStart, rangeEnd);
+      const audit = auditGroupReleases(periods, index, rangeStart, rangeEnd);
+      const fixes = fix ? await fixGroupReleases(group, audit, index, { dryRun, log: reqLog }) : null;
+
+      for (const key of ["missing", "nameMismatches", "overlaps", "duplicates", "misaligned"]) totals[key] += audit[key].length;
+      if (fixes) {
+        totals.renamed += fixes.renamed.length;
+        totals.created += fixes.created.length;
+      }
+      const issues = audit.missing.length + audit.nameMismatches.length + audit.overlaps.length + audit.duplicates.length + audit.misaligned.length;
+      reqLog.info(`🔍 ${group.key}: ${issues === 0 ? "no issues" : `${audit.missing.length} missing, ${audit.nameMismatches.length} misnamed, ${audit.overlaps.length} overlapping, ${audit.duplicates.length} duplicate names, ${audit.misaligned.length} misaligned`}`);
+
+      results[group.key] = {
+        status: issues === 0 ? "ok" : "issues",
+        rangeEnd: toYMDUTC(rangeEnd),
+        expected: periods.length,
+        releases: releasesOverlapping(index, rangeStart, rangeEnd).length,
+        missing: audit.missing.map(({ period, ...rest }) => rest),
+        nameMismatches: audit.nameMismatches,
+        overlaps: audit.overlaps,
+        duplicates: audit.duplicates,
+        misaligned: audit.misaligned,
+        ...(fixes && { fixes }),
+      };
+    }
+
+    const audited = Object.values(results).filter(r => r.status === "ok" || r.status === "issues").length;
+    const anyFailed = Object.values(results).some(r => r.status === "failed");
+    const issueCount = totals.missing + totals.nameMismatches + totals.overlaps + totals.duplicates + totals.misaligned;
+    res.status(audited === 0 ? 424 : 200).json({
+      status: audited === 0 ? "failed" : anyFailed ? "partial_success" : issueCount === 0 ? "ok" : "issues",
+      fix,
+      dryRun,
+      rangeStart: toYMDUTC(rangeStart),
+      summary: totals,
+      groups: results,
+    });
+  } catch (e) {
+    reqLog.err("Release audit failed:", e?.message);
+    res.status(500).json({
+      status: "error",
+      error: e?.message || "Internal server error"
+    });
+  }
+});
+
+/** Parse boolean-ish flags from JSON bodies or query strings ("true", "1", true) */
+function parseFlag(value) {
+  return value === true || value === "true" || value === "1" || value === 1;
+}
+
+/** Validate and normalize backfill filters; returns { filters } or { error } */
+function parseBackfillFilters(input) {
+  const toList = (v) => (v === undefined || v === null || v === "" ? [] : [].concat(v).map(x => String(x).toLowerCase()));
+  const filters = {
+    type: toList(input.type),
+    status: toList(input.status),
+    owner: toList(input.owner),
+    endDateFrom: input.endDateFrom || null,
+    endDateTo: input.endDateTo || null,
+  };
+  const unknownTypes = filters.type.filter(t => !ENTITY_TYPES[t]);
+  if (unknownTypes.length > 0) {
+    return { error: `type must be a configured entity type (${Object.keys(ENTITY_TYPES).join(", ")})` };
+  }
+  for (const key of ["endDateFrom", "endDateTo"]) {
+    if (filters[key] && !isCalendarDate(filters[key])) {
+      return { error: `${key} must be an ISO date (YYYY-MM-DD)` };
+    }
+  }
+  if (filters.endDateFrom && filters.endDateTo && toYMDUTC(filters.endDateFrom) > toYMDUTC(filters.endDateTo)) {
+    return { error: "endDateFrom must be on or before endDateTo" };
+  }
+  return { filters };
+}
+
+/** Returns true if a feature passes the backfill filters (entity type, status name/id, owner email, end date range) */
+function matchesBackfillFilters(feature, filters) {
+  if (filters.type.length > 0 && !filters.type.includes(feature.type)) return false;
+  if (filters.status.length > 0) {
+    const candidates = [feature.status?.name, feature.status?.id].filter(Boolean).map(v => String(v).toLowerCase());
+    if (!candidates.some(c => filters.status.includes(c))) return false;
+  }
+  if (filters.owner.length > 0) {
+    const email = (feature.owner?.email || "").toLowerCase();
+    if (!filters.owner.includes(email)) return false;
+  }
+  if (filters.endDateFrom || filters.endDateTo) {
+    const end = feature.timeframe?.endDate || feature.timeframe?.end;
+    if (!end) return false;
+    const ymd = toYMDUTC(end);
+    if (filters.endDateFrom && ymd < toYMDUTC(filters.endDateFrom)) return false;
+    if (filters.endDateTo && ymd > toYMDUTC(filters.endDateTo)) return false;
+  }
+  return true;
+}
+
+// --- Backfill ---
+// A backfill over a real workspace outlasts proxy and client timeouts, so by default it runs in the
+// background: the POST returns a backfill ID at once and GET /admin/backfill-assignments/:id reports
+// progress and, when done, the result. Status records live in BACKFILLS_DIR, one JSON file each.
+
+const BACKFILLS_DIR = process.env.BACKFILLS_DIR || path.join(DATA_DIR, "backfills");
+fs.mkdirSync(BACKFILLS_DIR, { recursive: true });
+const BACKFILL_PROGRESS_EVERY = 25; // features between progress writes
+const BACKFILL_STALE_MS = 10 * 60 * 1000; // a running backfill not updated for this long was interrupted
+
+// basename keeps IDs from request paths inside BACKFILLS_DIR
+const backfillFile = (id) => path.join(BACKFILLS_DIR, `${path.basename(String(id))}.json`);
+
+async function saveBackfill(record) {
+  const tmp = `${backfillFile(record.id)}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(record, null, 2));
+  await fs.promises.rename(tmp, backfillFile(record.id));
+}
+
+/** A backfill status record, or null; "running" records left behind by a stopped process read as "interrupted" */
+async function loadBackfill(id) {
+  let record;
+  try {
+    record = JSON.parse(await fs.promises.readFile(backfillFile(id), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  if (record.status === "running" && Date.now() - Date.parse(record.updatedAt) > BACKFILL_STALE_MS) {
+    return { ...record, status: "interrupted" };
+  }
+  return record;
+}
+
+/**
+ * Re-run assignment for the features matching `filters` (see parseBackfillFilters).
+ * Real runs share each feature's lane with webhook processing and are recorded for rollback.
+ * `onProgress({ processed, total })` is called after each feature. Returns the result summary.
+ */
+async function runBackfill({ dryRun = false, includeUnscheduled = false, filters, requestId, trigger = "http", onProgress = null, log: reqLog = log }) {
+  const t0 = Date.now();
+  reqLog.info(`🔁 Backfill started${dryRun ? " (dry run)" : ""}`, { filters, includeUnscheduled });
+
+  const features = await listEntities();
+  const selected = features.filter(f =>
+    matchesBackfillFilters(f, filters) &&
+    (includeUnscheduled || f.timeframe?.endDate || f.timeframe?.end)
+  );
+  reqLog.info(`🔁 Backfill: ${selected.length}/${features.length} features match filters`);
+  await onProgress?.({ processed: 0, total: selected.length });
+
+  // Start from fresh release listings; the index then serves the whole run
+  invalidateReleaseIndex();
+  const totals = { assigned: 0, unchanged: 0, unmatched: 0, unassigned: 0, skipped: 0, failed: 0 };
+  const results = [];
+  // Real runs are recorded (links changed, releases auto-created) so they can be rolled back
+  const run = dryRun ? null : startRun("backfill", { requestId, trigger, params: { filters, includeUnscheduled } });
+
+  const assignFeature = async (feature) => {
+    const groups = {};
+    for (const label of ENTITY_TYPES[feature.type] || []) {
+      let outcome;
+      try {
+        outcome = await upsertAssignmentForGroup(feature, label, { dryRun, context: { requestId, source: "backfill", run } });
+        for (const release of outcome.created || []) run?.addRelease(getReleaseGroup(label), release);
+      } catch (err) {
+        reqLog.err(`❌ Backfill failed for ${feature.id} in ${label}: ${err.message}`);
+        outcome = { group: label, status: "failed", error: err.message };
+      }
+      totals[outcome.status]++;
+      const { group, ...rest } = outcome;
+      groups[label] = rest;
+    }
+    return groups;
+  };
+
+  try {
+    for (const feature of selected) {
+      // Real writes share the feature's lane with webhook processing; dry runs only read
+      let groups;
+      try {
+        groups = dryRun
+          ? await assignFeature(feature)
+          : await runInFeatureLane(feature.id, requestId, () => assignFeature(feature), { coalesce: false });
+      } catch (err) {
+        reqLog.err(`❌ Backfill failed for ${feature.id}: ${err.message}`);
+        totals.failed++;
+        groups = {};
+      }
+      results.push({
+        id: feature.id,
+        type: feature.type,
+        name: feature.name,
+        endDate: feature.timeframe?.endDate || feature.timeframe?.end || null,
+        groups
+      });
+      await onProgress?.({ processed: results.length, total: selected.length });
+    }
+  } catch (err) {
+    await run?.finish("failed");
+    throw err;
+  }
+
+  const dt = Date.now() - t0;
+  const runId = run ? await run.finish(totals.failed > 0 ? "partial_success" : "success") : null;
+  reqLog.info(`✅ Backfill complete in ${dt} ms: ${totals.assigned} assigned, ${totals.unchanged} unchanged, ${totals.unmatched} unmatched, ${totals.failed} failed`);
+
+  return {
+    status: totals.failed > 0 ? "partial_success" : "success",
+    dryRun,
+    ...(runId && { runId }),
+    filters,
+    summary: {
+      scannedFeatures: features.length,
+      processedFeatures: selected.length,
+      ...totals
+    },
+    features: results
+  };
+}
+
+/** Run a backfill in the background, keeping its status record up to date; resolves when it ends */
+async function startBackfill(params, { requestId, log: reqLog = log }) {
+  let record = {
+    id: requestId,
+    status: "running",
+    dryRun: params.dryRun,
+    filters: params.filters,
+    includeUnscheduled: params.includeUnscheduled,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    progress: { processed: 0, total: null },
+  };
+  await saveBackfill(record);
+
+  const update = async (changes) => {
+    record = { ...record, ...changes, updatedAt: new Date().toISOString() };
+    try {
+      await saveBackfill(record);
+    } catch (err) {
+      reqLog.warn(`Could not update backfill status ${record.id}: ${err.message}`);
+    }
+  };
+  const onProgress = (progress) => {
+    if (progress.processed % BACKFILL_PROGRESS_EVERY === 0 || progress.processed === progress.total) return update({ progress });
+  };
+
+  const done = runBackfill({ ...params, requestId, onProgress, log: reqLog }).then(
+    (result) => update({ status: result.status, finishedAt: new Date().toISOString(), result }),
+    (err) => {
+      reqLog.err("Backfill failed:", err?.message);
+      return update({ status: "failed", finishedAt: new Date().toISOString(), error: err?.message || String(err) });
+    }
+  );
+  return { id: record.id, done };
+}
+
+/**
+ * Admin: re-run assignment for every existing feature (e.g. features scheduled before deployment
+ * or whose webhook was dropped).
+ * - Body (all optional): { dryRun, type, status, owner, endDateFrom, endDateTo, includeUnscheduled }
+ * - type limits the run to some of the configured entity types (string or array)
+ * - status/owner accept a string or an array (status name or id, owner email; case-insensitive)
+ * - endDateFrom/endDateTo are inclusive day bounds on timeframe.endDate
+ * - Features without a timeframe are skipped unless includeUnscheduled=true (they'd be unassigned)
+ * - dryRun=true (body or query) computes the same result without writing to Productboard
+ * - Runs in the background and answers 202 with the backfill ID; wait=true runs it within the
+ *   request and answers with the result (only for small workspaces, it can hit HTTP timeouts)
+ */
+app.post("/admin/backfill-assignments", requireAuth, async (req, res) => {
+  const reqLog = logWithRequest(req);
+  try {
+    const input = { ...req.query, ...(req.body || {}) };
+    const params = { dryRun: parseFlag(input.dryRun), includeUnscheduled: parseFlag(input.includeUnscheduled) };
+    const { filters, error } = parseBackfillFilters(input);
+    if (error) {
+      return res.status(400).json({ status: "error", error });
+    }
+    params.filters = filters;
+
+    if (parseFlag(input.wait)) {
+      return res.status(200).json(await runBackfill({ ...params, requestId: req.id, log: reqLog }));
+    }
+
+    const { id } = await startBackfill(params, { requestId: req.id, log: reqLog });
+    res.status(202).json({
+      status: "accepted",
+      backfillId: id,
+      statusUrl: `/admin/backfill-assignments/${id}`,
+    });
+  } catch (e) {
+    reqLog.err("Backfill failed:", e?.message);
+    res.status(500).json({
+      status: "error",
+      error: e?.message || "Internal server error"
+    });
+  }
+});
+
+/** Admin: status of a background backfill (progress while running, the full result once finished) */
+app.get("/admin/backfill-assignments/:id", requireAuth, async (req, res) => {
+  try {
+    const record = await loadBackfill(req.params.id);
+    if (!record) {
+      return res.status(404).json({ status: "error", error: `unknown backfill ${req.params.id}` });
+    }
+    res.status(200).json(record);
+  } catch (e) {
+    logWithRequest(req).err("Loading backfill failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
+
+/**
+ * Find a feature's assignment problems in one group, comparing its current links with the releases
+ * the group's assignment strategy picks:
+ * - wrong_release: linked to a release the strategy wouldn't pick (with the default "end" strategy:
+ *   a release whose timeframe doesn't contain the feature's end date)
+ * - multiple_releases: linked to more than one release in a group that assigns a single release
+ * - unassigned: has a timeframe but no release linked in the group
+ */
+function auditFeatureInGroup(feature, group, index, linkedIds) {
+  const span = assignmentSpan(feature, group.assignBy);
+  if (!span) return [];
+  const linked = index.releases.filter(r => linkedIds.has(r.id));
+  const expected = pickTargetReleases(group, index, span);
+  const expectedIds = new Set(expected.map(r => r.id));
+
+  const issues = [];
+  const wrong = linked.filter(r => !expectedIds.has(r.id));
+  if (wrong.length > 0) issues.push({ issue: "wrong_release", linked: wrong, expected });
+  if (linked.length > 1 && group.assignBy !== "all-overlapping") issues.push({ issue: "multiple_releases", linked, expected });
+  if (linked.length === 0) issues.push({ issue: "unassigned", linked, expected });
+  return issues;
+}
+
+const AUDIT_CSV_COLUMNS = ["featureId", "featureName", "featureType", "owner", "startDate", "endDate", "group", "assignBy", "issue", "linked", "expected"];
+
+/** Render rows as CSV (RFC 4180 quoting); array values are joined with "; " */
+function toCsv(rows, columns) {
+  const cell = (value) => {
+    const text = Array.isArray(value) ? value.join("; ") : value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(","), ...rows.map(row => columns.map(c => cell(row[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+/**
+ * Admin: audit current assignments - scans features and their links and reports features linked to
+ * the wrong release, linked to several releases in one group, or scheduled but not linked at all.
+ * - Query: the backfill filters (type, status, owner, endDateFrom, endDateTo)
+ * - format=csv (or Accept: text/csv) returns one row per issue as a CSV download; default is JSON
+ * - Read-only: run /admin/backfill-assignments to fix what it finds
+ */
+app.get("/admin/audit-assignments", requireAuth, async (req, res) => {
+  const reqLog = logWithRequest(req);
+  try {
+    const format = String(req.query.format || (req.accepts(["json", "csv"]) === "csv" ? "csv" : "json")).toLowerCase();
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ status: "error", error: "format must be json or csv" });
+    }
+    const { filters, error } = parseBackfillFilters(req.query);
+    if (error) {
+      return res.status(400).json({ status: "error", error });
+    }
+
+    const features = (await listEntities()).filter(f => matchesBackfillFilters(f, filters));
+    reqLog.info(`🔍 Auditing assignments of ${features.length} feature(s)`, { filters });
+
+    // Fresh listings for every group the selected features use
+    invalidateReleaseIndex();
+    const groupKeys = [...new Set(features.flatMap(f => ENTITY_TYPES[f.type] || []))];
+    const indexes = {};
+    const skippedGroups = [];
+    let groupsFailed = false;
+    for (const key of groupKeys) {
+      const group = getReleaseGroup(key);
+      // Without an ID there is nothing to compare against; every feature would look unassigned
+      if (!group.id) {
+        skippedGroups.push({ group: key, reason: "no release group ID configured" });
+        continue;
+      }
+      try {
+        indexes[key] = await getReleaseIndex(group.id);
+      } catch (err) {
+        reqLog.warn(`⏭️  Skipped ${key}: ${err.message}`);
+        skippedGroups.push({ group: key, reason: err.message });
+        groupsFailed = true;
+      }
+    }
+
+    const describe = (r) => ({ id: r.id, name: r.name, startDate: toYMDUTC(r.timeframe?.startDate || r.timeframe?.start), endDate: toYMDUTC(r.timeframe?.endDate || r.timeframe?.end) });
+    const issues = [];
+    const failed = [];
+    for (const feature of features) {
+      let linkedIds;
+      try {
+        linkedIds = new Set(await getLinkedIds(feature.id));
+      } catch (err) {
+        reqLog.err(`❌ Audit could not read links of ${feature.id}: ${err.message}`);
+        failed.push({ id: feature.id, error: err.message });
+        continue;
+      }
+      const start = feature.timeframe?.startDate || feature.timeframe?.start;
+      const end = feature.timeframe?.endDate || feature.timeframe?.end;
+      for (const key of ENTITY_TYPES[feature.type] || []) {
+        if (!indexes[key]) continue;
+        const group = getReleaseGroup(key);
+        for (const found of auditFeatureInGroup(feature, group, indexes[key], linkedIds)) {
+          issues.push({
+            featureId: feature.id,
+            featureName: feature.name,
+            featureType: feature.type,
+            owner: feature.owner?.email || null,
+            startDate: start ? toYMDUTC(start) : null,
+            endDate: end ? toYMDUTC(end) : null,
+            group: key,
+            assignBy: group.assignBy,
+            issue: found.issue,
+            linked: found.linked.map(describe),
+            expected: found.expected.map(describe),
+          });
+        }
+      }
+    }
+
+    const counts = { wrong_release: 0, multiple_releases: 0, unassigned: 0 };
+    for (const i of issues) counts[i.issue]++;
+    const featuresWithIssues = new Set(issues.map(i => i.featureId)).size;
+    reqLog.info(`🔍 Assignment audit: ${featuresWithIssues}/${features.length} feature(s) with issues (${counts.wrong_release} wrong release, ${counts.multiple_releases} multiple, ${counts.unassigned} unassigned)`);
+
+    if (format === "csv") {
+      const label = (r) => `${r.name} (${r.startDate}..${r.endDate})`;
+      const rows = issues.map(i => ({ ...i, linked: i.linked.map(label), expected: i.expected.map(label) }));
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="assignment-audit-${toYMDUTC(new Date())}.csv"`);
+      return res.status(200).send(toCsv(rows, AUDIT_CSV_COLUMNS));
+    }
+
+    res.status(200).json({
+      status: failed.length > 0 || groupsFailed ? "partial_success" : "success",
+      filters,
+      summary: {
+        auditedFeatures: features.length,
+        featuresWithIssues,
+        ...counts,
+        failedFeatures: failed.length,
+      },
+      skippedGroups,
+      issues,
+      ...(failed.length > 0 && { failed }),
+    });
+  } catch (e) {
+    reqLog.err("Assignment audit failed:", e?.message);
+    res.status(500).json({
+      status: "error",
+      error: e?.message || "Internal server error"
+    });
+  }
+});
+
+/** Totals across all endpoints, read from the Prometheus API metrics (the same numbers /metrics exposes) */
+async function apiMetricsSummary() {
+  const sum = (values) => values.reduce((total, v) => total + v.value, 0);
+  const attempts = (await metrics.apiDuration.get()).values.filter(v => v.metricName.endsWith("_count"));
+  const byOutcome = {};
+  for (const v of attempts) byOutcome[v.labels.status] = (byOutcome[v.labels.status] || 0) + v.value;
+  const { timeout = 0, network_error: networkErrors = 0, ...byStatus } = byOutcome;
+  return {
+    requests: sum(attempts), // attempts sent, including retries
+    retries: sum((await metrics.apiRetries.get()).values),
+    throttled: byStatus[429] || 0,
+    timeouts: timeout,
+    networkErrors,
+    failures: sum((await metrics.apiFailures.get()).values), // calls that gave up on a retryable error
+    byStatus,
+  };
+}
+
+/** Admin: Productboard API client counters (requests, retries, throttling) and limiter settings */
+app.get("/admin/api-metrics", requireAuth, async (req, res) => {
+  try {
+    res.status(200).json({
+      limits: {
+        timeoutMs: PB_TIMEOUT_MS,
+        rateLimitRps: PB_RATE_LIMIT_RPS,
+        rateLimitBurst: PB_RATE_LIMIT_BURST,
+        maxRetries: PB_MAX_RETRIES,
+      },
+      ...(await apiMetricsSummary()),
+    });
+  } catch (e) {
+    logWithRequest(req).err("Collecting API metrics failed:", e?.message);
+    res.status(500).json({ status: "error", error: e?.message || "Internal server error" });
+  }
+});
+
+// Job queue depth, read when Prometheus scrapes
+new promClient.Gauge({
+  name: "pb_jobs",
+  help: "Jobs in the queue by state (pending, active, dead)",
+  labelNames: ["state"],
+  registers: [metricsRegistry],
+  async collect() {
+    const stats = await jobQueue.stats();
+    for (const state of ["pending", "active", "dead"]) this.set({ state }, stats[state]);
+  },
+});
+
+// Prometheus scrape endpoint; METRICS_REQUIRE_AUTH=true puts it behind the admin token
+const METRICS_REQUIRE_AUTH = parseFlag(process.env.METRICS_REQUIRE_AUTH);
+app.get("/metrics", METRICS_REQUIRE_AUTH ? requireAuth : (req, res, next) => next(), async (req, res) => {
+  try {
+    res.set("Content-Type", metricsRegistry.contentType);
+    res.status(200).send(await metricsRegistry.metrics());
+  } catch (e) {
+    logWithRequest(req).err("Collecting metrics failed:", e?.message);
+    res.status(500).send("metrics unavailable");
+  }
+});
+
+// --- Readiness (GET /ready, STARTUP_VALIDATION) ---
+
+const READY_CACHE_MS = Number(process.env.READY_CACHE_MS ?? 30000);
+const STARTUP_VALIDATION = (process.env.STARTUP_VALIDATION || "off").toLowerCase();
+if (!["off", "warn", "strict"].includes(STARTUP_VALIDATION)) {
+  log.err(`❌ Invalid STARTUP_VALIDATION "${STARTUP_VALIDATION}": expected off, warn or strict`);
+  process.exit(1);
+}
+
+/** Check that a group exists and is a release group, and report its release count and seeded horizon */
+async function checkGroupReadiness(group, today) {
+  if (!group.id) return { status: "skipped", error: "no release group ID configured" };
+  let entity;
+  try {
+    entity = await getEntity(group.id);
+  } catch (err) {
+    const error = err.status === 404 ? `release group ${group.id} not found` : err.message;
+    return { id: group.id, status: "error", error };
+  }
+  if (entity.type !== "releaseGroup") {
+    return { id: group.id, status: "error", error: `${group.id} is a ${entity.type}, not a release group` };
+  }
+  const index = await getReleaseIndex(group.id);
+  const seededThrough = index.byStart.at(-1)?.maxEnd || null;
+  const horizonEnd = toYMDUTC(addHorizon(today, group.horizon));
+  return {
+    id: group.id,
+    name: entity.name,
+    status: "ok",
+    releases: index.releases.length,
+    seededThrough,
+    horizonEnd,
+    horizonCovered: seededThrough !== null && seededThrough >= horizonEnd
+  };
+}
+
+/**
+ * Verify the API token and every configured release group.
+ * `problems` lists what makes the service not ready; `warnings` lists groups seeded short of
+ * their horizon, which maintenance or the seeder fixes and which don't fail the check.
+ */
+async function checkReadiness() {
+  const checkedAt = new Date().toISOString();
+  let token;
+  if (!PB_TOKEN) {
+    token = { ok: false, error: "PRODUCTBOARD_API_TOKEN is not set" };
+  } else {
+    try {
+      token = await verifyToken();
+    } catch (err) {
+      token = { ok: false, error: err.message };
+    }
+  }
+
+  const groups = {};
+  if (token.ok) {
+    const today = startOfDayUTC(new Date());
+    for (const group of RELEASE_GROUPS) {
+      try {
+        groups[group.key] = await checkGroupReadiness(group, today);
+      } catch (err) {
+        groups[group.key] = { id: group.id, status: "error", error: err.message };
+      }
+    }
+  }
+
+  const problems = [];
+  const warnings = [];
+  if (!token.ok) problems.push(`token: ${token.error}`);
+  for (const [key, g] of Object.entries(groups)) {
+    if (g.status === "error") problems.push(`${key}: ${g.error}`);
+    else if (g.status === "ok" && !g.horizonCovered) {
+      warnings.push(`${key}: seeded through ${g.seededThrough ?? "nothing"}, horizon ends ${g.horizonEnd}`);
+    }
+  }
+  return { status: problems.length === 0 ? "ready" : "not_ready", checkedAt, token, groups, problems, warnings };
+}
+
+// Probes arrive every few seconds; reuse a recent report instead of calling the API each time
+let readinessCache = null; // { at, report } | { loading }
+async function getReadiness() {
+  if (readinessCache?.loading) return readinessCache.loading;
+  if (readinessCache && Date.now() - readinessCache.at < READY_CACHE_MS) return readinessCache.report;
+  const loading = checkReadiness().finally(() => {
+    if (readinessCache?.loading === loading) readinessCache = null;
+  });
+  readinessCache = { loading };
+  const report = await loading;
+  readinessCache = { at: Date.now(), report };
+  return report;
+}
+
+/** Run the readiness check at startup and log what is wrong; returns whether the service is ready */
+async function validateStartup() {
+  log.info(`🩺 Validating token and release groups (STARTUP_VALIDATION=${STARTUP_VALIDATION})...`);
+  const report = await getReadiness();
+  for (const problem of report.problems) log.err(`❌ ${problem}`);
+  for (const warning of report.warnings) log.warn(`⚠️  ${warning}`);
+  if (report.status === "ready") log.info(`✅ Startup validation passed for ${Object.keys(report.groups).length} group(s)`);
+  return report.status === "ready";
+}
+
+// Readiness check: 200 when the token and every configured group check out, 503 with details otherwise
+app.get("/ready", async (req, res) => {
+  try {
+    const report = await getReadiness();
+    res.status(report.status === "ready" ? 200 : 503).json(report);
+  } catch (e) {
+    logWithRequest(req).err("Readiness check failed:", e?.message);
+    res.status(503).json({ status: "not_ready", error: e?.message || "unknown error" });
+  }
+});
+
 // Health check endpoint for Docker/K8s
 app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok", timestamp: new Date().toISOString() });
@@ -921,4 +4662,18 @@ app.get("/health", (req, res) => {
 
 // Bootstrap
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => log.info(`🟢 Listening on :${PORT}`));
\ No newline at end of file
+async function start() {
+  // strict: refuse to start misconfigured; warn: start anyway and log the problems
+  if (STARTUP_VALIDATION === "strict" && !(await validateStartup())) {
+    log.err("❌ Startup validation failed (STARTUP_VALIDATION=strict); exiting");
+    process.exit(1);
+  }
+  app.listen(PORT, () => {
+    log.info(`🟢 Listening on :${PORT}`);
+    jobQueue.start();
+    startScheduler();
+    markInterruptedRuns().catch(err => log.warn(`Could not check for interrupted runs: ${err.message}`));
+    if (STARTUP_VALIDATION === "warn") validateStartup().catch(err => log.err(`❌ Startup validation failed: ${err.message}`));
+  });
+}
+start();
\ No newline at end of file